@@ -15,36 +15,288 @@
    */
   const EDITABLE_TAGS = new Set(["INPUT", "TEXTAREA", "SELECT"]);
 
+  /**
+   * Selectors for the media managed on enter/leave and for elements with deferred sources.
+   * @private
+   * @const {string}
+   */
+  const MEDIA_SELECTOR = "video, audio, iframe";
+  const FOCUSABLE_SELECTOR = [
+    "a[href]",
+    "area[href]",
+    "button",
+    "input",
+    "select",
+    "textarea",
+    "iframe",
+    "audio[controls]",
+    "video[controls]",
+    "summary",
+    "[contenteditable]:not([contenteditable='false'])",
+    "[tabindex]",
+  ].join(", ");
+  const LAZY_SELECTOR = "[data-src], [data-srcset]";
+
+  /**
+   * The entries of a bound navigation menu: elements with `data-sr-menuanchor` and in-page links.
+   * @private
+   * @const {string}
+   */
+  const MENU_ITEM_SELECTOR = "[data-sr-menuanchor], a[href^='#']";
+
+  /**
+   * The animations registered with SnapRoll.registerAnimation(), keyed by name.
+   * They take over from the `sr-anim-*` CSS classes wherever `Element.animate()` is available.
+   * @private
+   * @const {Map<string, SnapRollAnimation>}
+   */
+  const ANIMATIONS = new Map();
+
+  /**
+   * The built-in contents of pagination buttons: empty dots, numbers, titles or thumbnails.
+   * @private
+   * @const {string[]}
+   */
+  const PAGINATION_TYPES = ["dots", "numbers", "labels", "thumbnails"];
+
+  /**
+   * Elements left out of live thumbnails: injected controls, form controls, and media that
+   * would load or play.
+   * @private
+   * @const {string}
+   */
+  const THUMB_IGNORE_SELECTOR = `.sr-arrow, .sr-slide-dots, .sr-sub-dots, input, select, textarea, button, ${MEDIA_SELECTOR}`;
+
+  /**
+   * Attributes removed from the copy in live thumbnails, so it does not clash with the
+   * original: ids, form names (radio groups), and lazy sources that would be loaded.
+   * @private
+   * @const {string[]}
+   */
+  const THUMB_STRIPPED_ATTRIBUTES = ["id", "name", "data-src", "data-srcset"];
+
+  /**
+   * The version of the object returned by getState(). Saved states of another version
+   * are discarded instead of being restored.
+   * @private
+   * @const {number}
+   */
+  const STATE_VERSION = 1;
+
+  /**
+   * The live instances on the page, used to decide which one receives keyboard input
+   * and to detect instances competing for the same URL.
+   * @private
+   * @const {Set<SnapRoll>}
+   */
+  const INSTANCES = new Set();
+
+  /**
+   * Counter of the ids given to sections, slides and sub-slides without one, so that their
+   * pagination dots can reference them through `aria-controls`.
+   * @private
+   */
+  let generatedIdCount = 0;
+
+  /**
+   * Drag gesture settings: the movement in px before a drag locks onto an axis, the time
+   * window in ms used to measure the release velocity, and the elements drags never start on.
+   * @private
+   * @const
+   */
+  const DRAG_SLOP = 10;
+  const DRAG_VELOCITY_WINDOW = 100;
+  const DRAG_IGNORE_SELECTOR =
+    "input, textarea, select, button, [contenteditable]:not([contenteditable='false']), [data-sr-no-drag]";
+
+  /**
+   * Wheel intent settings: the pixels per line for `deltaMode` line units, the number of
+   * recent deltas averaged, and how much larger than that average a delta must be to start
+   * a new gesture while the previous one fades out (trackpad inertia only decays).
+   * @private
+   * @const
+   */
+  const WHEEL_LINE_HEIGHT = 16;
+  const WHEEL_SAMPLES = 4;
+  const WHEEL_ACCELERATION = 2;
+
+  /**
+   * Keyboard scrolling inside managed scroll areas: the distance in px scrolled by the arrow
+   * keys, and the key combinations that scroll by a page instead.
+   * @private
+   * @const
+   */
+  const SCROLL_KEY_STEP = 40;
+  const SCROLL_PAGE_KEYS = new Set([
+    "PageDown",
+    "PageUp",
+    "Space",
+    "Shift+Space",
+  ]);
+
+  /**
+   * The built-in keyboard actions, usable by name in the `keymap` option and in bindKey().
+   * @private
+   * @const {Object.<string, function(SnapRoll, KeyboardEvent): *>}
+   */
+  const KEY_ACTIONS = {
+    next: (sr) => sr.next(),
+    prev: (sr) => sr.prev(),
+    nextSection: (sr) => sr.nextSection(),
+    prevSection: (sr) => sr.prevSection(),
+    nextSlide: (sr) => sr.nextSlide(),
+    prevSlide: (sr) => sr.prevSlide(),
+    nextSubSlide: (sr) => sr.nextSubSlide(),
+    prevSubSlide: (sr) => sr.prevSubSlide(),
+    first: (sr) => sr.goToSection(0),
+    last: (sr) => sr.goToSection(sr.sections.length - 1),
+    // Digit keys: '1' jumps to the first section, '2' to the second, and so on.
+    jump: (sr, e) => sr.goToSection(parseInt(e.key, 10) - 1),
+    overview: (sr) => sr.toggleOverview(),
+  };
+
+  /**
+   * Modifier names accepted in key combinations, mapped to their canonical form.
+   * @private
+   * @const {Object.<string, string>}
+   */
+  const KEY_MODIFIERS = {
+    alt: "Alt",
+    ctrl: "Ctrl",
+    control: "Ctrl",
+    meta: "Meta",
+    cmd: "Meta",
+    shift: "Shift",
+  };
+
+  /**
+   * postMessage commands understood by embedded players, keyed by provider and action.
+   * YouTube requires `enablejsapi=1` in the iframe URL.
+   * @private
+   * @const {Object.<string, {pattern: RegExp, play: object[], pause: object[], reset: object[]}>}
+   */
+  const PLAYER_COMMANDS = {
+    youtube: {
+      pattern: /youtube(-nocookie)?\.com|youtu\.be/,
+      play: [{ event: "command", func: "playVideo", args: "" }],
+      pause: [{ event: "command", func: "pauseVideo", args: "" }],
+      reset: [{ event: "command", func: "stopVideo", args: "" }],
+    },
+    vimeo: {
+      pattern: /vimeo\.com/,
+      play: [{ method: "play" }],
+      pause: [{ method: "pause" }],
+      reset: [{ method: "pause" }, { method: "setCurrentTime", value: 0 }],
+    },
+  };
+
   /**
    * @typedef {object} SnapRollOptions
    * @property {string|HTMLElement} [container='.sr-cont'] - The selector or element for the main container.
    * @property {string} [sectionSelector='.sr-sec'] - The selector for section elements.
    * @property {string} [activeClass='sr-active'] - The class applied to the active section.
    * @property {string} [prevClass='sr-prev'] - The class applied to sections that have been scrolled past.
-   * @property {string} [sectionAnimation='slide'] - Default animation for sections ('slide', 'fade', 'zoom', 'flip', 'skew', 'rotate'). Can be overridden by `data-sr-section-animation`.
+   * @property {string} [sectionAnimation='slide'] - Default animation for sections ('slide', 'fade', 'zoom', 'flip', 'skew', 'rotate', or a name given to SnapRoll.registerAnimation()). Can be overridden by `data-sr-section-animation`.
    * @property {boolean} [keyboard=true] - Whether to enable keyboard navigation.
+   * @property {'window'|'container'|'visible'} [keyboardScope='window'] - Which key presses the instance handles: 'window' takes them page-wide, but with several instances only the focused, then hovered, then most visible one reacts; 'container' only while focus is inside the container; 'visible' only while it is the most visible instance.
+   * @property {Object.<string, (string|Function|null)>} [keymap] - Key bindings, merged with the defaults. Keys are combinations such as 'ArrowDown' or 'Shift+Space'; values are built-in action names ('next', 'prev', 'nextSection', 'prevSection', 'nextSlide', 'prevSlide', 'nextSubSlide', 'prevSubSlide', 'first', 'last', 'jump', 'overview'), functions receiving the instance and the event, or null to unbind a default.
    * @property {boolean} [loop=false] - Whether to loop from the last section/slide to the first and vice versa.
-   * @property {number} [scrollTimeout=800] - The debounce timeout in ms for section transitions.
-   * @property {number} [slideScrollTimeout=600] - The debounce timeout in ms for slide transitions.
-   * @property {number} [touchThreshold=50] - The minimum swipe distance in pixels to trigger navigation.
-   * @property {number} [wheelDeltaThreshold=5] - The minimum mouse wheel delta to trigger navigation.
-   * @property {number} [wheelGestureEndDelay=300] - The delay in ms to reset the wheel gesture detection.
+   * @property {number} [scrollTimeout=800] - The fallback timeout in ms for section transitions, used if `transitionend` (or `scrollend` in plain-scroll mode) never fires.
+   * @property {number} [slideScrollTimeout=600] - The fallback timeout in ms for slide and sub-slide transitions, used if `transitionend` never fires.
+   * @property {'none'|'queue'|'latest'} [navigationQueue='none'] - How navigation calls made during a transition are handled: dropped, queued in order, or only the latest one kept.
+   * @property {boolean} [scrollOverflow=false] - Whether sections, slides and sub-slides taller than the viewport get a managed scroll area; wheel, touch and keyboard scroll inside it and only navigate at its top or bottom edge. Can be overridden by `data-sr-scroll-overflow` on sections, slides and sub-slides.
+   * @property {boolean} [styledScrollbars=false] - Whether the managed scroll areas get thin, themed scrollbars.
+   * @property {number} [touchThreshold=50] - The minimum swipe or drag distance in pixels to trigger navigation.
+   * @property {boolean} [drag=true] - Whether sections and slides follow touch and pen drags (Pointer Events). When false, swipes are only measured on release.
+   * @property {boolean} [mouseDrag=false] - Whether sections and slides can also be dragged with the mouse.
+   * @property {number} [flickVelocity=0.5] - The release velocity in px/ms above which a short drag (a flick) navigates.
+   * @property {number} [edgeResistance=0.6] - How much dragging past the first or last item is damped, from 0 (follows the pointer) to 1 (does not move).
+   * @property {number} [wheelDeltaThreshold=5] - The wheel distance in pixels, accumulated over a gesture, needed to trigger navigation.
+   * @property {number} [wheelGestureEndDelay=300] - The pause in ms after which the next wheel event starts a new gesture. Gestures also start when the wheel speeds up again while the previous one fades out.
+   * @property {number} [wheelSensitivity=1] - A multiplier applied to wheel deltas; higher values need less wheel travel to navigate.
    * @property {string} [pageTitle=''] - A base title for the document, to be combined with section titles.
    * @property {string[]} [sectionTitles=[]] - An array of titles for each section, used for the document title.
    * @property {Object.<number, string[]>} [slideHashes={}] - An object to define hashes for slides, e.g., `{ 1: ['hash1', 'hash2'] }`.
    * @property {boolean} [pagination=true] - Whether to create and display pagination dots for sections.
    * @property {'right'|'left'|'top'|'bottom'} [paginationPosition='right'] - Position of the section pagination dots.
+   * @property {'dots'|'numbers'|'labels'|'thumbnails'} [paginationType='dots'] - Content of the section pagination buttons: empty dots, section numbers, section titles, or thumbnails (`data-sr-thumb` images, or live miniatures of the sections).
+   * @property {boolean} [paginationTooltips=false] - Whether pagination buttons show the section (or slide `data-sr-title`) title on hover and focus.
+   * @property {Function|null} [renderBullet=null] - Builds the content of a section pagination button instead of `paginationType`: `(section, index) => html|element`, where `section` is `{ el, index, hash, title }`. The button keeps its click handling, active state and accessible name.
+   * @property {boolean} [counter=false] - Whether to render a counter of the position in the whole deck (see getProgress()).
+   * @property {string|Function} [counterFormat='{current} / {total}'] - The counter text, with `{current}`, `{total}`, `{percent}`, `{section}`, `{sections}`, `{slide}`, `{slides}` and `{subSlide}` placeholders (1-based), or a function building it.
+   * @property {boolean} [progressBar=false] - Whether to render a bar showing the progress through the whole deck.
+   * @property {string|HTMLElement|null} [menu=null] - An existing navigation menu (selector or element) bound to the deck. Its entries (`data-sr-menuanchor` elements or `#hash` links) navigate the deck and are highlighted while their section or slide is current.
+   * @property {string} [menuActiveClass='sr-menu-active'] - The class added to the current menu entries.
    * @property {string} [hashSeparator='--'] - The separator used in the URL between section and slide hashes.
+   * @property {string} [hashPrefix=''] - A prefix that namespaces the deck's hashes (e.g., 'sr/' for `#sr/projects--2`). Hashes without it are left to the page.
+   * @property {boolean} [autoSlugs=false] - Whether to generate hashes for sections without `data-sr-hash` or `id`, from their title (`data-sr-title`) or first heading.
+   * @property {'hash'|'query'|'path'|SnapRollRouter} [router='hash'] - How the position is encoded in the URL: in the hash (`#projects--2`), in query parameters (`?section=projects&slide=2`), in the path (`/deck/projects/2`), or through a custom router adapter.
+   * @property {string} [namespace=''] - Gives the instance its own part of the URL, so several instances can be deep-linked at once: `#name=projects--2&other=3` with the hash router, prefixed parameters (`name-section`) with the query router.
+   * @property {string} [routerBase=''] - With `router: 'path'`, the base path under which the deck lives (e.g., '/deck').
+   * @property {string[]} [routerParams=['section', 'slide', 'sub']] - With `router: 'query'`, the names of the section, slide and sub-slide query parameters.
+   * @property {'replace'|'push'|'none'} [history='replace'] - How position changes are written to the URL: replacing the current history entry, pushing a new entry (Back/Forward then move between sections), or not at all (the URL is neither read nor written).
+   * @property {'session'|'local'|SnapRollStorage|null} [persist=null] - Saves the state (see getState()) on every change and restores it on load when the URL holds no position: in `sessionStorage`, in `localStorage`, or in a custom storage (an object with `getItem()` and `setItem()`).
+   * @property {string} [persistKey=''] - The storage key of the saved state. Defaults to one derived from the page path and the `namespace` (or container id).
+   * @property {number} [historyCoalesceDelay=1000] - With `history: 'push'`, changes made within this delay (ms) of the previous one replace its entry instead of adding another, so rapid navigation collapses into a single entry. In plain-scroll mode, the entry is always replaced.
    * @property {string} [slideSelector='.sr-slide'] - The selector for slide elements within a section.
-   * @property {string} [slideAnimation='slide'] - Default animation for slides. Can be overridden by `data-sr-slide-animation`.
+   * @property {string} [slideAnimation='slide'] - Default animation for slides (see `sectionAnimation`). Can be overridden by `data-sr-slide-animation`.
    * @property {string} [slideActiveClass='sr-slide-active'] - The class applied to the active slide.
    * @property {string} [slidePrevClass='sr-slide-prev'] - The class applied to slides that come before the active one.
+   * @property {string} [subSlideSelector='.sr-sub'] - The selector for vertical sub-slides within a slide.
+   * @property {string} [subSlideActiveClass='sr-sub-active'] - The class applied to the active sub-slide.
+   * @property {string} [subSlidePrevClass='sr-sub-prev'] - The class applied to sub-slides that come before the active one.
+   * @property {boolean} [subSlidePagination=true] - Whether to create and display pagination dots for sub-slides.
+   * @property {boolean|'infinite'} [slideLoop=false] - Whether slides wrap from the last to the first and vice versa. 'infinite' wraps seamlessly, animating in the same direction instead of rewinding. Can be overridden by `data-sr-slide-loop`.
    * @property {boolean} [slideArrows=true] - Whether to create and display navigation arrows for slides.
    * @property {boolean} [slidePagination=true] - Whether to create and display pagination dots for slides.
    * @property {'bottom'|'top'} [slidePaginationPosition='bottom'] - Position of the slide pagination dots.
+   * @property {'dots'|'numbers'|'labels'|'thumbnails'} [slidePaginationType='dots'] - Content of the slide pagination buttons (see `paginationType`; labels come from `data-sr-title`).
+   * @property {Function|null} [renderSlideBullet=null] - Builds the content of a slide pagination button: `(slide, index, section) => html|element` (see `renderBullet`).
+   * @property {boolean} [autoplay=false] - Whether to advance automatically through slides and then sections. Can be overridden per section with `data-sr-autoplay` ('true', 'false' or a delay in ms).
+   * @property {number} [autoplayDelay=5000] - The default time in ms spent on each section or slide during autoplay. Can be overridden per slide or sub-slide with `data-sr-autoplay` (a delay in ms).
+   * @property {boolean} [autoplayPauseOnHover=true] - Whether autoplay pauses while the pointer is over the container.
+   * @property {boolean} [autoplayPauseOnFocus=true] - Whether autoplay pauses while an element inside the container has focus.
+   * @property {number} [autoplayResumeDelay=3000] - The delay in ms after which autoplay resumes following a user interaction (wheel, touch, keyboard, click).
+   * @property {boolean} [autoplayControls=false] - Whether to render an accessible play/pause button.
+   * @property {boolean} [autoplayProgress=false] - Whether to render a progress bar showing the time left before the next step.
+   * @property {number} [responsiveWidth=0] - Below this viewport width (px), the instance switches to plain document scrolling. 0 disables the check.
+   * @property {number} [responsiveHeight=0] - Below this viewport height (px), the instance switches to plain document scrolling. 0 disables the check.
+   * @property {string} [responsiveQuery=''] - A media query (e.g., '(orientation: portrait)') that switches the instance to plain document scrolling while it matches.
+   * @property {boolean} [observe=false] - Whether to watch the container for added or removed sections, slides and sub-slides (MutationObserver) and update the deck like addSection()/removeSection() do.
+   * @property {boolean} [lazyLoad=false] - Whether to swap `data-src`/`data-srcset` into real attributes as sections and slides come near.
+   * @property {number} [lazyLoadNeighbours=1] - How many sections and slides on each side of the active one are loaded ahead.
+   * @property {'pause'|'reset'|'none'} [mediaOnLeave='pause'] - What happens to video, audio and YouTube/Vimeo players when their section or slide is left.
+   * @property {'none'|'heading'|'focusable'} [focusOnNavigate='none'] - Where focus moves after navigating: the first heading or the first focusable element of the new section/slide. Focus is never moved if it already is inside it.
+   * @property {string[]} [overviewKeys=['o']] - The keys bound to the 'overview' action, which toggles the overview grid. An empty array disables them. Escape always closes an open overview.
+   * @property {SnapRollLabels} [labels] - Label templates for the generated controls and announcements; merged with the defaults, so only the ones to translate need to be given.
    * @property {boolean} [debug=false] - Whether to log internal state and events to the console.
    */
 
+  /**
+   * Label templates used for accessible names and screen-reader announcements.
+   * Placeholders: `{index}` (1-based) and `{total}`, plus `{title}` for sections.
+   * Each template may also be a function receiving those values.
+   * @typedef {object} SnapRollLabels
+   * @property {string} [section='Section {index} of {total}: {title}'] - The accessible name of a section.
+   * @property {string} [slide='{index} of {total}'] - The accessible name of a slide.
+   * @property {string} [subSlide='{index} of {total}'] - The accessible name of a sub-slide.
+   * @property {string} [carousel='carousel'] - The role description of sections with slides.
+   * @property {string} [slideRole='slide'] - The role description of slides and sub-slides.
+   * @property {string} [sectionPagination='Sections'] - The accessible name of the section pagination.
+   * @property {string} [slidePagination='Slides'] - The accessible name of the slide pagination.
+   * @property {string} [subSlidePagination='Sub-slides'] - The accessible name of the sub-slide pagination.
+   * @property {string} [sectionDot='Go to section {index}: {title}'] - The accessible name of a section dot.
+   * @property {string} [slideDot='Go to slide {index}'] - The accessible name of a slide dot.
+   * @property {string} [subSlideDot='Go to sub-slide {index}'] - The accessible name of a sub-slide dot.
+   * @property {string} [prevSlide='Previous slide'] - The accessible name of the previous slide arrow.
+   * @property {string} [nextSlide='Next slide'] - The accessible name of the next slide arrow.
+   * @property {string} [playAutoplay='Start autoplay'] - The autoplay button label while paused.
+   * @property {string} [pauseAutoplay='Pause autoplay'] - The autoplay button label while playing.
+   * @property {string} [sectionAnnouncement='Section {index} of {total}: {title}'] - Announced after a section change.
+   * @property {string} [slideAnnouncement='Slide {index} of {total}'] - Announced after a slide change.
+   * @property {string} [subSlideAnnouncement='Sub-slide {index} of {total}'] - Announced after a sub-slide change.
+   */
+
   /** @type {SnapRollOptions} */
   const DEFAULTS = {
     container: ".sr-cont",
@@ -53,57 +305,561 @@
     prevClass: "sr-prev",
     sectionAnimation: "slide",
     keyboard: true,
+    keyboardScope: "window",
+    keymap: {
+      ArrowDown: "next",
+      PageDown: "next",
+      Space: "next",
+      ArrowUp: "prev",
+      PageUp: "prev",
+      "Shift+Space": "prev",
+      ArrowRight: "nextSlide",
+      ArrowLeft: "prevSlide",
+      Home: "first",
+      End: "last",
+      ...Object.fromEntries(
+        ["1", "2", "3", "4", "5", "6", "7", "8", "9"].map((digit) => [
+          digit,
+          "jump",
+        ])
+      ),
+    },
     loop: false,
     scrollTimeout: 800,
     slideScrollTimeout: 600,
+    navigationQueue: "none",
+    scrollOverflow: false,
+    styledScrollbars: false,
     touchThreshold: 50,
+    drag: true,
+    mouseDrag: false,
+    flickVelocity: 0.5,
+    edgeResistance: 0.6,
     wheelDeltaThreshold: 5,
     wheelGestureEndDelay: 300,
+    wheelSensitivity: 1,
     pageTitle: "",
     sectionTitles: [],
     slideHashes: {},
     pagination: true,
     paginationPosition: "right",
+    paginationType: "dots",
+    paginationTooltips: false,
+    renderBullet: null,
+    counter: false,
+    counterFormat: "{current} / {total}",
+    progressBar: false,
+    menu: null,
+    menuActiveClass: "sr-menu-active",
     hashSeparator: "--",
+    hashPrefix: "",
+    autoSlugs: false,
+    router: "hash",
+    namespace: "",
+    routerBase: "",
+    routerParams: ["section", "slide", "sub"],
+    history: "replace",
+    historyCoalesceDelay: 1000,
+    persist: null,
+    persistKey: "",
     slideSelector: ".sr-slide",
     slideAnimation: "slide",
     slideActiveClass: "sr-slide-active",
     slidePrevClass: "sr-slide-prev",
+    subSlideSelector: ".sr-sub",
+    subSlideActiveClass: "sr-sub-active",
+    subSlidePrevClass: "sr-sub-prev",
+    subSlidePagination: true,
+    slideLoop: false,
     slideArrows: true,
     slidePagination: true,
     slidePaginationPosition: "bottom",
+    slidePaginationType: "dots",
+    renderSlideBullet: null,
+    autoplay: false,
+    autoplayDelay: 5000,
+    autoplayPauseOnHover: true,
+    autoplayPauseOnFocus: true,
+    autoplayResumeDelay: 3000,
+    autoplayControls: false,
+    autoplayProgress: false,
+    responsiveWidth: 0,
+    responsiveHeight: 0,
+    responsiveQuery: "",
+    observe: false,
+    lazyLoad: false,
+    lazyLoadNeighbours: 1,
+    mediaOnLeave: "pause",
+    focusOnNavigate: "none",
+    overviewKeys: ["o"],
+    labels: {
+      section: "Section {index} of {total}: {title}",
+      slide: "{index} of {total}",
+      subSlide: "{index} of {total}",
+      carousel: "carousel",
+      slideRole: "slide",
+      sectionPagination: "Sections",
+      slidePagination: "Slides",
+      subSlidePagination: "Sub-slides",
+      sectionDot: "Go to section {index}: {title}",
+      slideDot: "Go to slide {index}",
+      subSlideDot: "Go to sub-slide {index}",
+      prevSlide: "Previous slide",
+      nextSlide: "Next slide",
+      playAutoplay: "Start autoplay",
+      pauseAutoplay: "Pause autoplay",
+      sectionAnnouncement: "Section {index} of {total}: {title}",
+      slideAnnouncement: "Slide {index} of {total}",
+      subSlideAnnouncement: "Sub-slide {index} of {total}",
+    },
     debug: false,
   };
 
+  /**
+   * A router adapter translates between the URL and a list of route segments
+   * (e.g., `['projects', '2']` for the section 'projects' and its second slide).
+   * @typedef {object} SnapRollRouter
+   * @property {function(): (string[]|null)} read - Returns the segments in the current URL, an empty array if there are none, or null if the URL does not belong to the deck.
+   * @property {function(string[], {replace: boolean}): void} write - Writes the segments to the URL, replacing the current history entry or pushing a new one.
+   * @property {function(Function): Function} [listen] - Calls the given callback whenever the URL changes outside of SnapRoll; returns an unsubscribe function.
+   */
+
+  /**
+   * Safely decodes a URI component, returning the raw value if it is malformed.
+   * @private
+   * @param {string} value - The value to decode.
+   * @returns {string} The decoded value.
+   */
+  function safeDecode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * Fills a label template with values: `{name}` placeholders are replaced, and a
+   * separator left dangling at the end by an empty value (e.g., 'Section 3 of 7: ')
+   * is dropped. Function templates receive the values and return the label.
+   * @private
+   * @param {string|Function} template - The template (e.g., 'Section {index} of {total}').
+   * @param {object} values - The placeholder values.
+   * @returns {string} The label.
+   */
+  function formatLabel(template, values) {
+    if (typeof template === "function") return String(template(values));
+
+    return String(template)
+      .replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "")
+      .replace(/[\s:,\-–—]+$/, "");
+  }
+
+  /**
+   * Normalizes a key combination (e.g., 'shift+space', 'Ctrl+ArrowDown') into its canonical
+   * form: modifiers in a fixed order, then the key. Single-character keys are lowercased,
+   * and the space bar is named 'Space'.
+   * @private
+   * @param {string} combo - The key combination.
+   * @returns {string} The canonical combination (e.g., 'Shift+Space').
+   */
+  function normalizeKeyCombo(combo) {
+    // A trailing '+' is the plus key itself (e.g., 'Shift++').
+    const parts = combo.endsWith("++")
+      ? [...combo.slice(0, -2).split("+"), "+"]
+      : combo.split("+");
+    let key = parts.pop();
+    const modifiers = parts.map(
+      (part) => KEY_MODIFIERS[part.trim().toLowerCase()] ?? part.trim()
+    );
+
+    if (key === " " || key.toLowerCase() === "space") key = "Space";
+    if (key.length === 1) key = key.toLowerCase();
+
+    return ["Alt", "Ctrl", "Meta", "Shift"]
+      .filter((modifier) => modifiers.includes(modifier))
+      .concat(key)
+      .join("+");
+  }
+
+  /**
+   * Builds the canonical key combination of a keyboard event.
+   * @private
+   * @param {KeyboardEvent} e - The keyboard event.
+   * @param {boolean} [withShift=true] - False to leave out the Shift modifier.
+   * @returns {string} The canonical combination (e.g., 'Shift+Space').
+   */
+  function keyComboFromEvent(e, withShift = true) {
+    const modifiers = [
+      e.altKey && "Alt",
+      e.ctrlKey && "Ctrl",
+      e.metaKey && "Meta",
+      withShift && e.shiftKey && "Shift",
+    ].filter(Boolean);
+
+    return normalizeKeyCombo([...modifiers, e.key].join("+"));
+  }
+
+  /**
+   * Measures the area of an element that lies within the viewport.
+   * @private
+   * @param {HTMLElement} el - The element.
+   * @returns {number} The visible area in square pixels.
+   */
+  function getVisibleArea(el) {
+    const rect = el.getBoundingClientRect();
+    const width =
+      Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const height =
+      Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    return Math.max(width, 0) * Math.max(height, 0);
+  }
+
+  /**
+   * Finds the instance with the largest visible area among the given ones.
+   * @private
+   * @param {SnapRoll[]} instances - The candidate instances.
+   * @returns {SnapRoll|null} The most visible instance, or null if none is visible.
+   */
+  function findMostVisibleInstance(instances) {
+    let best = null;
+    let bestArea = 0;
+
+    instances.forEach((instance) => {
+      const area = getVisibleArea(instance.container);
+      if (area > bestArea) {
+        best = instance;
+        bestArea = area;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Converts text into a URL-friendly slug (e.g., 'Sobre Nosotros!' to 'sobre-nosotros').
+   * @private
+   * @param {string} text - The text to convert.
+   * @returns {string} The slug, or an empty string if no usable characters remain.
+   */
+  function slugify(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "") // Strip diacritics
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * Subscribes a callback to the window events fired when the URL changes.
+   * @private
+   * @param {string[]} events - The window event names (e.g., ['popstate']).
+   * @param {Function} callback - The callback to invoke.
+   * @returns {Function} A function that removes the listeners.
+   */
+  function listenToWindow(events, callback) {
+    events.forEach((event) => window.addEventListener(event, callback));
+    return () =>
+      events.forEach((event) => window.removeEventListener(event, callback));
+  }
+
+  /**
+   * Writes a URL to the session history, replacing the current entry or pushing a new one.
+   * @private
+   * @param {string} url - The new URL (absolute, relative, or hash-only).
+   * @param {boolean} replace - True to replace the current entry.
+   */
+  function writeHistory(url, replace) {
+    history[replace ? "replaceState" : "pushState"](null, "", url);
+  }
+
+  /**
+   * Plays, pauses or resets a media element: `<video>`/`<audio>` directly, and
+   * YouTube/Vimeo iframes through their postMessage API. Other iframes are left alone.
+   * @private
+   * @param {HTMLMediaElement|HTMLIFrameElement} el - The media element.
+   * @param {'play'|'pause'|'reset'} action - The command to run.
+   */
+  function controlMedia(el, action) {
+    if (el.tagName !== "IFRAME") {
+      if (action === "play") {
+        // Browsers may refuse to autoplay (e.g., unmuted media); that is not an error here.
+        el.play()?.catch(() => {});
+      } else {
+        el.pause();
+        if (action === "reset") el.currentTime = 0;
+      }
+      return;
+    }
+
+    const player = Object.values(PLAYER_COMMANDS).find(({ pattern }) =>
+      pattern.test(el.src)
+    );
+
+    player?.[action].forEach((command) =>
+      el.contentWindow?.postMessage(JSON.stringify(command), "*")
+    );
+  }
+
+  /**
+   * The built-in router strategies, keyed by the name used in the `router` option.
+   * Each factory receives the instance options and returns a SnapRollRouter.
+   * @private
+   * @const {Object.<string, function(SnapRollOptions): SnapRollRouter>}
+   */
+  const ROUTERS = {
+    /**
+     * Hash routing: `#projects--2`, split by `hashSeparator` and namespaced by `hashPrefix`.
+     * With a `namespace`, the deck owns one `&`-separated part of the hash
+     * (e.g., `#intro=projects--2&demo=3`), so several decks can be deep-linked at once.
+     * A deck without a namespace owns the part without a `name=` key, and leaves the
+     * parts of namespaced decks alone.
+     */
+    hash: (opts) => {
+      const key = opts.namespace ? `${opts.namespace}=` : "";
+
+      // Splits the hash into its `&`-separated parts.
+      const readParts = () =>
+        safeDecode(window.location.hash.substring(1))
+          .split("&")
+          .filter(Boolean);
+      const isOwnPart = (part) =>
+        key ? part.startsWith(key) : !part.includes("=");
+
+      return {
+        read() {
+          const part = readParts().find(isOwnPart);
+          const hash = part?.substring(key.length);
+          if (!hash) return [];
+
+          // With a prefix, only hashes such as '#sr/projects--2' belong to the deck.
+          if (opts.hashPrefix && !hash.startsWith(opts.hashPrefix)) return null;
+
+          const route = hash.substring(opts.hashPrefix.length);
+          return route ? route.split(opts.hashSeparator) : [];
+        },
+        write(segments, { replace }) {
+          const own = `${key}${opts.hashPrefix}${segments.join(opts.hashSeparator)}`;
+
+          // Replace the deck's part in place, keeping the parts of other decks
+          // (the part without a namespace comes first).
+          const parts = readParts();
+          const index = parts.findIndex(isOwnPart);
+          if (index !== -1) {
+            parts[index] = own;
+          } else if (key) {
+            parts.push(own);
+          } else {
+            parts.unshift(own);
+          }
+          writeHistory(`#${parts.filter(Boolean).join("&")}`, replace);
+        },
+        listen(callback) {
+          // Manual hash edits fire 'hashchange'; Back/Forward fire 'popstate'.
+          return listenToWindow(["hashchange", "popstate"], callback);
+        },
+      };
+    },
+
+    /**
+     * Query-string routing: `?section=projects&slide=2&sub=3`. Other parameters are preserved.
+     * With a `namespace`, parameter names are prefixed (e.g., `?intro-section=projects`).
+     */
+    query: (opts) => {
+      const [section = "section", slide = "slide", subSlide = "sub"] =
+        opts.routerParams;
+      const params = [section, slide, subSlide].map((name) =>
+        opts.namespace ? `${opts.namespace}-${name}` : name
+      );
+
+      return {
+        read() {
+          const search = new URLSearchParams(window.location.search);
+          const segments = params.map((name) => search.get(name));
+
+          // Segments are positional: stop at the first missing one.
+          const missing = segments.findIndex((value) => !value);
+          return missing === -1 ? segments : segments.slice(0, missing);
+        },
+        write(segments, { replace }) {
+          const url = new URL(window.location.href);
+
+          params.forEach((name, i) => {
+            if (segments[i]) {
+              url.searchParams.set(name, segments[i]);
+            } else {
+              url.searchParams.delete(name);
+            }
+          });
+          writeHistory(url.href, replace);
+        },
+        listen(callback) {
+          return listenToWindow(["popstate"], callback);
+        },
+      };
+    },
+
+    /**
+     * Path routing: `/deck/projects/2`, under the configured `routerBase`.
+     * URLs outside of the base path are not claimed by the deck.
+     */
+    path: (opts) => {
+      // Normalize the base to a leading slash and no trailing slash ('' for the root).
+      const base = `/${opts.routerBase}`
+        .replace(/\/+/g, "/")
+        .replace(/\/$/, "");
+
+      return {
+        read() {
+          const { pathname } = window.location;
+          if (pathname !== base && !pathname.startsWith(`${base}/`)) {
+            return null;
+          }
+          return pathname
+            .substring(base.length)
+            .split("/")
+            .filter(Boolean)
+            .map(safeDecode);
+        },
+        write(segments, { replace }) {
+          const { search, hash } = window.location;
+          const path = segments.map(encodeURIComponent).join("/");
+          writeHistory(`${base}/${path}${search}${hash}`, replace);
+        },
+        listen(callback) {
+          return listenToWindow(["popstate"], callback);
+        },
+      };
+    },
+  };
+
   /**
    * Creates a full-page, snap-scrolling presentation with configurable animations.
    * @class SnapRoll
    */
   class SnapRoll {
+    /**
+     * Registers a JavaScript animation for sections and slides, driven by the Web Animations
+     * API (`Element.animate()`). Use its name like a built-in one (`sectionAnimation`,
+     * `data-sr-section-animation`, ...). Where `Element.animate()` is unavailable, or with
+     * reduced motion, the `sr-anim-<name>` CSS classes apply instead.
+     * @public
+     * @static
+     * @param {string} name - The animation name (e.g., 'spin').
+     * @param {SnapRollAnimation} definition - The `enter` and `leave` keyframes (or functions returning
+     * them), and the default `duration` (ms) and `easing`.
+     * @returns {boolean} True if the animation was registered.
+     */
+    static registerAnimation(name, definition) {
+      const isKeyframes = (value) =>
+        typeof value === "function" ||
+        (value !== null && typeof value === "object");
+
+      if (
+        typeof name !== "string" ||
+        !name ||
+        !(isKeyframes(definition?.enter) || isKeyframes(definition?.leave))
+      ) {
+        console.warn(
+          "[SnapRoll] registerAnimation: a name and 'enter' or 'leave' keyframes are required."
+        );
+        return false;
+      }
+
+      ANIMATIONS.set(name, { ...definition });
+      return true;
+    }
+
     /**
      * Initializes a new SnapRoll instance, setting up configuration and state.
      * @param {SnapRollOptions} [options={}] - Configuration options to override the defaults.
      */
     constructor(options = {}) {
-      // 1. Merge configuration options with defaults
+      // 1. Merge configuration options with defaults (labels are merged one level deeper)
       this.opts = { ...DEFAULTS, ...options };
+      this.opts.labels = { ...DEFAULTS.labels, ...options.labels };
 
       // 2. Initialize core state properties
       this.sectionData = [];
       this.sections = [];
       this.currentIndex = 0;
       this.currentSlideIndices = {};
+      this.currentSubSlideIndices = {}; // Active sub-slide per slide: { [section]: { [slide]: index } }
       this._isAnimating = false; // Debounce flag for transitions
+      this._animations = new Set(); // Running animations of registered (JavaScript) effects
+      this._navigationQueue = []; // Navigation calls waiting for the current transition
       this._touchStart = { x: null, y: null };
-      this._wheelGestureTimeout = null;
+      this._drag = null; // Pointer drag in progress (see _onPointerDown)
+      this._isDragTouch = false; // True when the current touch gesture is handled by the drag engine
+      // Current wheel gesture: axis, direction, accumulated travel and recent delta sizes.
+      this._wheel = {
+        axis: null,
+        direction: 0,
+        travel: 0,
+        samples: [],
+        peak: 0,
+        lastTime: -Infinity,
+        isSpent: false, // True once the gesture navigated or scrolled a nested element
+      };
       this.paginationContainer = null;
+      this._handlers = {}; // Registry of callbacks added through on()/once()
+      this._isSyncingFromURL = false; // True while the position is being restored from the URL
+      this._lastHistoryWrite = 0; // Timestamp of the last history entry written, for coalescing
+      this._unlistenRouter = null; // Unsubscribe function returned by the router's listen()
+      this._isResponsive = false; // True while in plain-scroll (responsive) mode
+      this._responsiveQueryList = null; // MediaQueryList for the responsiveQuery option
+      this._scrollSpyFrame = null; // Pending animation frame of the scroll-spy
+      this._onScrollSpy = this._onScrollSpy.bind(this);
+      this.autoplayButton = null;
+      this.autoplayProgress = null;
+      this.counter = null; // Element of the `counter` option
+      this.progressBar = null; // Element of the `progressBar` option
+      this._isOverview = false; // True while the zoomed-out overview grid is shown
+      this._overviewCursor = { section: 0, slide: 0 }; // Tile selected in the overview grid
+      this._activeMedia = new Set(); // Media elements inside the active section/slide
+      this.liveRegion = null; // Polite live region announcing position changes
+      this._originalAttributes = new Map(); // Original attributes of the author's elements (see _setOwnAttribute)
+      this._isHovered = false; // True while the pointer is over the container
+      this._addedTabindex = false; // True if the container was made focusable for keyboardScope 'container'
+      this._observer = null; // MutationObserver of the `observe` option
+
+      // Autoplay state: the countdown of the current step and the reasons it is paused for.
+      this._autoplay = {
+        enabled: Boolean(this.opts.autoplay),
+        pauseReasons: new Set(),
+        timer: null,
+        resumeTimer: null,
+        focusTimer: null, // Reads the focus once it has settled (see _onFocusChange)
+        duration: 0, // Total time of the current step (0 when autoplay does not apply)
+        remaining: 0,
+        startedAt: 0,
+      };
+      this._updateMode = this._updateMode.bind(this);
 
-      // 3. Find and validate the main container element
+      // 3. Find and validate the main container element (and the bound menu, if any)
       this._findAndValidateContainer();
+      this._findMenu();
 
       // 4. Validate configuration options
       this._validateOptions(this.opts);
 
+      // 4b. Resolve the router used for deep linking (hash, query, path or custom adapter)
+      this.router = this._createRouter();
+      this._storage = this._createStorage();
+
+      // 4c. Build the key bindings: defaults, overview keys, then the `keymap` option.
+      this._keymap = new Map();
+      Object.entries(DEFAULTS.keymap).forEach(([combo, action]) =>
+        this.bindKey(combo, action)
+      );
+      this.opts.overviewKeys.forEach((combo) =>
+        this.bindKey(combo, "overview")
+      );
+      Object.entries(options.keymap ?? {}).forEach(([combo, action]) =>
+        this.bindKey(combo, action)
+      );
+
       // 5. Define all event listeners and bind handlers
       this.listeners = this._defineListeners();
 
@@ -132,6 +888,22 @@
       this.container = container;
     }
 
+    /**
+     * Finds the navigation menu bound through the `menu` option, warning if it is missing.
+     * @private
+     */
+    _findMenu() {
+      const { menu } = this.opts;
+
+      /** @type {HTMLElement|null} The bound navigation menu, if any. */
+      this.menu =
+        typeof menu === "string" ? document.querySelector(menu) : menu || null;
+
+      if (menu && !this.menu) {
+        console.warn(`[SnapRoll] Config warning: Menu not found (${menu}).`);
+      }
+    }
+
     /**
      * Defines the configuration array for all required event listeners.
      * @private
@@ -141,13 +913,75 @@
       return [
         {
           target: window,
-          event: "hashchange",
-          handler: this._handleHashChange.bind(this),
+          event: "keydown",
+          handler: this._onKeyDown.bind(this),
         },
         {
           target: window,
-          event: "keydown",
-          handler: this._onKeyDown.bind(this),
+          event: "resize",
+          handler: this._onResize.bind(this),
+          options: { passive: true },
+        },
+        {
+          target: document,
+          event: "visibilitychange",
+          handler: this._onVisibilityChange.bind(this),
+        },
+        {
+          target: this.container,
+          event: "mouseenter",
+          handler: () => this._onHoverChange(true),
+        },
+        {
+          target: this.container,
+          event: "mouseleave",
+          handler: () => this._onHoverChange(false),
+        },
+        {
+          target: this.container,
+          event: "focusin",
+          handler: this._onFocusChange.bind(this),
+        },
+        {
+          target: this.container,
+          event: "focusout",
+          handler: this._onFocusChange.bind(this),
+        },
+        {
+          target: this.container,
+          event: "focusin",
+          handler: this._onFocusIn.bind(this),
+        },
+        {
+          target: this.container,
+          event: "pointerdown",
+          handler: this._onUserInteraction.bind(this),
+          options: { passive: true },
+        },
+        {
+          target: this.container,
+          event: "pointerdown",
+          handler: this._onPointerDown.bind(this),
+        },
+        {
+          target: this.container,
+          event: "pointermove",
+          handler: this._onPointerMove.bind(this),
+        },
+        {
+          target: this.container,
+          event: "pointerup",
+          handler: this._onPointerUp.bind(this),
+        },
+        {
+          target: this.container,
+          event: "pointercancel",
+          handler: () => this._endDrag(),
+        },
+        {
+          target: this.container,
+          event: "click",
+          handler: this._onOverviewClick.bind(this),
         },
         {
           target: this.container,
@@ -167,6 +1001,16 @@
           handler: this._onTouchEnd.bind(this),
           options: { passive: true },
         },
+        // Clicks on the entries of the bound menu, if any.
+        ...(this.menu
+          ? [
+              {
+                target: this.menu,
+                event: "click",
+                handler: this._onMenuClick.bind(this),
+              },
+            ]
+          : []),
       ];
     }
 
@@ -181,6 +1025,90 @@
       }
     }
 
+    /**
+     * Registers a handler for a lifecycle event. Handlers receive the event detail object;
+     * `before*` handlers may return `false` to veto the navigation or assign `detail.to` to redirect it.
+     * @public
+     * @param {string} event - The event name (e.g., 'afterSectionChange').
+     * @param {Function} handler - The callback to invoke when the event fires.
+     * @returns {SnapRoll} The instance, for chaining.
+     */
+    on(event, handler) {
+      if (typeof handler !== "function") return this;
+
+      if (!this._handlers[event]) this._handlers[event] = [];
+      this._handlers[event].push({ handler, once: false });
+      return this;
+    }
+
+    /**
+     * Removes a handler previously registered with on() or once().
+     * If no handler is given, all handlers for the event are removed.
+     * @public
+     * @param {string} event - The event name.
+     * @param {Function} [handler] - The callback to remove.
+     * @returns {SnapRoll} The instance, for chaining.
+     */
+    off(event, handler) {
+      if (!this._handlers[event]) return this;
+
+      this._handlers[event] = handler
+        ? this._handlers[event].filter((entry) => entry.handler !== handler)
+        : [];
+      return this;
+    }
+
+    /**
+     * Registers a handler that is removed automatically after its first call.
+     * @public
+     * @param {string} event - The event name.
+     * @param {Function} handler - The callback to invoke once.
+     * @returns {SnapRoll} The instance, for chaining.
+     */
+    once(event, handler) {
+      if (typeof handler !== "function") return this;
+
+      if (!this._handlers[event]) this._handlers[event] = [];
+      this._handlers[event].push({ handler, once: true });
+      return this;
+    }
+
+    /**
+     * Notifies all handlers of an event and dispatches the matching `snaproll:<event>`
+     * CustomEvent on the container. For cancelable events, a handler returning `false`
+     * or a DOM listener calling `preventDefault()` marks the event as cancelled.
+     * @private
+     * @param {string} event - The event name (e.g., 'beforeSectionChange').
+     * @param {object} [detail={}] - Data describing the event.
+     * @param {boolean} [cancelable=false] - Whether the event can be vetoed.
+     * @returns {{cancelled: boolean, detail: object}} The outcome and the (possibly modified) detail.
+     */
+    _emit(event, detail = {}, cancelable = false) {
+      const payload = { ...detail, instance: this };
+      let cancelled = false;
+
+      // 1. Call the handlers registered through on()/once(). A copy is iterated
+      // so that handlers can safely unsubscribe while the event is being emitted.
+      const entries = this._handlers[event] || [];
+      this._handlers[event] = entries.filter((entry) => !entry.once);
+
+      entries.forEach(({ handler }) => {
+        if (handler.call(this, payload) === false) cancelled = true;
+      });
+
+      // 2. Mirror the event on the container for plain DOM listeners.
+      const domEvent = new CustomEvent(`snaproll:${event}`, {
+        detail: payload,
+        bubbles: true,
+        cancelable,
+      });
+      if (!this.container.dispatchEvent(domEvent)) cancelled = true;
+
+      this.log(`Event emitted: ${event}`, payload);
+
+      return { cancelled: cancelable && cancelled, detail: payload };
+    }
+
     /**
      * Validates the provided configuration options (opts) and issues warnings
      * for incorrect data types, but does not stop execution.
@@ -207,12 +1135,29 @@
           `[SnapRoll] Config warning: 'slideHashes' should be a plain object (e.g., { 1: ['hash1'] }). Received type: ${typeof opts.slideHashes}`
         );
       }
-    }
 
-    /**
-     * Initializes the SnapRoll instance: scans the DOM, sets up the internal structure,
-     * determines the initial position, and activates all event listeners.
-     * @public
+      // Check the pagination types: unknown ones fall back to plain dots.
+      ["paginationType", "slidePaginationType"].forEach((key) => {
+        if (!PAGINATION_TYPES.includes(opts[key])) {
+          console.warn(
+            `[SnapRoll] Config warning: unknown ${key} '${opts[key]}'. Falling back to 'dots'.`
+          );
+          opts[key] = "dots";
+        }
+      });
+
+      // Check 'namespace': the path holds a single route, so it cannot be shared.
+      if (opts.namespace && opts.router === "path") {
+        console.warn(
+          `[SnapRoll] Config warning: 'namespace' is not supported by the path router; use distinct 'routerBase' paths instead.`
+        );
+      }
+    }
+
+    /**
+     * Initializes the SnapRoll instance: scans the DOM, sets up the internal structure,
+     * determines the initial position, and activates all event listeners.
+     * @public
      */
     init() {
       // 1. Scan the DOM and rebuild the internal data structure
@@ -224,11 +1169,42 @@
         return;
       }
 
-      // 3. Check for a hash in the URL to determine the starting section/slide.
-      this._parseInitialHash(true);
-
-      // 4. Attach all defined event listeners (wheel, touch, keydown, hashchange).
+      // 3. Check the URL (through the router) to determine the starting section/slide.
+      // The saved state and the URL are read first, as showing the initial position overwrites both.
+      const savedState = this._loadState();
+      // Only a route addressing a position of the deck wins over the saved state; unrelated
+      // hashes (e.g., '#footnote-3') are ignored, as in _parseRoute().
+      const segments = this.opts.history === "none" ? null : this.router.read();
+      const hasRoute =
+        segments?.length > 0 && Boolean(this._resolveRoute(segments));
+      this._parseRoute(true);
+
+      // 4. Register the instance and attach all defined event listeners (wheel, touch, keydown, route changes).
+      this._register();
       this._toggleEventListeners(true);
+      this.container.classList.toggle("sr-drag", Boolean(this.opts.drag));
+      this.container.classList.toggle(
+        "sr-mouse-drag",
+        Boolean(this.opts.drag && this.opts.mouseDrag)
+      );
+
+      // 4b. Switch to plain-scroll mode right away if the viewport is below the breakpoint.
+      this._updateMode();
+
+      // 4c. Without a position in the URL, resume from the saved state, if any.
+      if (savedState && !hasRoute) {
+        this.log("Restoring the saved state.");
+        this.setState(savedState);
+      }
+
+      // 4d. Start the autoplay countdown for the initial position, if enabled.
+      this._resetAutoplay();
+
+      // 5. Notify listeners that the instance is ready.
+      this._emit("init", {
+        index: this.currentIndex,
+        slideIndex: this.currentSlideIndices[this.currentIndex] ?? 0,
+      });
     }
 
     /**
@@ -243,80 +1219,201 @@
       this.sectionData = Array.from(
         this.container.querySelectorAll(this.opts.sectionSelector)
       ).map((el, index) => {
-        // --- Section Setup ---
+        // Initialize current slide (and sub-slide) indices for this section to 0.
+        this.currentSlideIndices[index] = 0;
+        this.currentSubSlideIndices[index] = {};
 
-        // Determine section animation: data-attr > JS option > default ('slide')
-        const sectionAnim =
-          el.dataset.srSectionAnimation || this.opts.sectionAnimation;
-        if (sectionAnim && sectionAnim !== "slide") {
-          el.classList.add(`sr-anim-${sectionAnim}`);
-        }
+        return this._buildSection(el, index);
+      });
+
+      // 3. Update the simplified sections array for quick reference.
+      this.sections = this.sectionData.map((data) => data.el);
+
+      // 3b. Generate hashes for the remaining sections, if enabled.
+      if (this.opts.autoSlugs) this._generateSectionSlugs();
+
+      // 4. Create main section navigation (dots/menu).
+      this._createPagination();
+
+      // 4b. Create the autoplay controls (play/pause button and progress bar), if enabled.
+      this._createAutoplayControls();
+      this._createProgressControls();
+
+      // 4c. Apply roles and accessible names, and create the live region for announcements.
+      this._applyAriaRoles();
+      this._createLiveRegion();
+
+      // 5. In plain-scroll mode, keep the transform-based animation classes off.
+      if (this._isResponsive) this._toggleAnimationClasses(false);
+
+      // 5a. Give overflowing sections, slides and sub-slides a managed scroll area.
+      this.container.classList.toggle(
+        "sr-styled-scrollbars",
+        Boolean(this.opts.styledScrollbars)
+      );
+      this._updateScrollOverflow();
 
-        // 2. Map through all slides within the current section.
-        const slides = Array.from(
-          el.querySelectorAll(this.opts.slideSelector)
-        ).map((slideEl, slideIndex) => {
+      // 5b. Lay out new or removed sections and slides in the overview grid, if shown.
+      if (this._isOverview) this._layoutOverview(true);
+
+      this.log(`Refresh complete. Found ${this.sectionData.length} sections.`);
+
+      this._emit("refresh", { sections: this.sectionData.length });
+    }
+
+    /**
+     * Builds the internal data object of a section (and of its slides and sub-slides),
+     * and sets up its slide controls.
+     * @private
+     * @param {HTMLElement} el - The section element.
+     * @param {number} index - The zero-based index of the section.
+     * @returns {object} The internal data object of the section.
+     */
+    _buildSection(el, index) {
+      // Determine section animation: data-attr > JS option > default ('slide')
+      const sectionAnim =
+        el.dataset.srSectionAnimation || this.opts.sectionAnimation;
+      const sectionAnimClass =
+        sectionAnim && sectionAnim !== "slide"
+          ? `sr-anim-${sectionAnim}`
+          : null;
+      if (sectionAnimClass) el.classList.add(sectionAnimClass);
+
+      this._applyTransitionTiming(el);
+
+      // Auto-height sections keep their natural height (e.g., a footer or a banner).
+      // The first one is anchored to the top of the viewport, the others to the bottom.
+      const autoHeight =
+        el.hasAttribute("data-sr-auto-height") &&
+        el.dataset.srAutoHeight !== "false";
+      el.classList.toggle("sr-auto-height", autoHeight);
+      el.classList.toggle("sr-auto-height-top", autoHeight && index === 0);
+
+      // Generate section hash and title.
+      const sectionHash =
+        el.dataset.srHash || this._getOriginalAttribute(el, "id") || null;
+      const sectionTitle =
+        this.opts.sectionTitles[index] || el.dataset.srTitle || null;
+
+      // Build the section data object.
+      const data = {
+        el,
+        index,
+        slides: this._buildSlides(el, index),
+        hash: sectionHash,
+        title: sectionTitle,
+        animation: sectionAnim,
+        animClass: sectionAnimClass,
+        autoHeight,
+        slideLoop: this._parseSlideLoop(
+          el.dataset.srSlideLoop ?? this.opts.slideLoop
+        ),
+        // Initialize references for future DOM elements (arrows/pagination)
+        slidePagination: null,
+        arrowLeft: null,
+        arrowRight: null,
+      };
+
+      // Add a marker class if the section contains slides.
+      el.classList.toggle("sr-has-slides", data.slides.length > 0);
+
+      // Setup slide controls (arrows and pagination) for the section.
+      this._setupSlides(data);
+
+      return data;
+    }
+
+    /**
+     * Builds the internal data objects of the slides (and sub-slides) of a section,
+     * and sets up their sub-slide controls.
+     * @private
+     * @param {HTMLElement} el - The section element.
+     * @param {number} index - The zero-based index of the section.
+     * @returns {Array<object>} The internal data objects of the slides.
+     */
+    _buildSlides(el, index) {
+      return Array.from(el.querySelectorAll(this.opts.slideSelector)).map(
+        (slideEl, slideIndex) => {
           // Determine slide animation: slide data-attr > section data-attr > JS option > default
           const slideAnim =
             slideEl.dataset.srSlideAnimation ||
             el.dataset.srSlideAnimation ||
             this.opts.slideAnimation;
 
-          if (slideAnim && slideAnim !== "slide") {
-            slideEl.classList.add(`sr-slide-anim-${slideAnim}`);
-          }
+          const slideAnimClass =
+            slideAnim && slideAnim !== "slide"
+              ? `sr-slide-anim-${slideAnim}`
+              : null;
+          if (slideAnimClass) slideEl.classList.add(slideAnimClass);
+          this._applyTransitionTiming(slideEl);
 
           // Generate a unique hash for the slide (used for deep linking)
           const slideHash =
             this.opts.slideHashes[index]?.[slideIndex] ||
             slideEl.dataset.srHash ||
-            slideEl.id ||
+            this._getOriginalAttribute(slideEl, "id") ||
             (slideIndex + 1).toString();
 
-          return {
+          // Map through the vertical sub-slides nested within the slide.
+          const subSlides = Array.from(
+            slideEl.querySelectorAll(this.opts.subSlideSelector)
+          ).map((subEl, subIndex) => ({
+            el: subEl,
+            index: subIndex,
+            hash:
+              subEl.dataset.srHash ||
+              this._getOriginalAttribute(subEl, "id") ||
+              (subIndex + 1).toString(),
+          }));
+
+          const slideData = {
             el: slideEl,
             index: slideIndex,
             hash: slideHash,
+            animation: slideAnim,
+            animClass: slideAnimClass,
+            subSlides,
+            subSlidePagination: null,
           };
-        });
-
-        // Add a marker class if the section contains slides.
-        if (slides.length > 0) el.classList.add("sr-has-slides");
 
-        // Generate section hash and title.
-        const sectionHash = el.dataset.srHash || el.id || null;
-        const sectionTitle =
-          this.opts.sectionTitles[index] || el.dataset.srTitle || null;
+          // Setup sub-slide controls (pagination) for the slide.
+          this._setupSubSlides(slideData, index);
 
-        // Build the section data object.
-        const data = {
-          el,
-          index,
-          slides,
-          hash: sectionHash,
-          title: sectionTitle,
-          // Initialize references for future DOM elements (arrows/pagination)
-          slidePagination: null,
-          arrowLeft: null,
-          arrowRight: null,
-        };
+          return slideData;
+        }
+      );
+    }
 
-        // Initialize current slide index for this section to 0.
-        this.currentSlideIndices[index] = 0;
+    /**
+     * Assigns a URL-friendly hash to every section without one, derived from its title
+     * (`data-sr-title` or `sectionTitles`) or its first heading. Colliding slugs are
+     * de-duplicated with a numeric suffix (e.g., 'projects', 'projects-2').
+     * @private
+     */
+    _generateSectionSlugs() {
+      // Explicit hashes are reserved first so that generated slugs never shadow them.
+      const usedHashes = new Set(
+        this.sectionData.map((data) => data.hash).filter(Boolean)
+      );
 
-        // Setup slide controls (arrows and pagination) for the section.
-        this._setupSlides(data);
+      this.sectionData.forEach((data) => {
+        if (data.hash) return;
 
-        return data;
-      });
+        const heading = data.el.querySelector("h1, h2, h3, h4, h5, h6");
+        const base = slugify(data.title || heading?.textContent || "");
 
-      // 3. Update the simplified sections array for quick reference.
-      this.sections = this.sectionData.map((data) => data.el);
+        // Sections without usable text keep their numeric address.
+        if (!base) return;
 
-      // 4. Create main section navigation (dots/menu).
-      this._createPagination();
+        let slug = base;
+        for (let n = 2; usedHashes.has(slug); n++) {
+          slug = `${base}-${n}`;
+        }
 
-      this.log(`Refresh complete. Found ${this.sectionData.length} sections.`);
+        usedHashes.add(slug);
+        data.hash = slug;
+        this.log(`Generated hash '${slug}' for section ${data.index}.`);
+      });
     }
 
     /**
@@ -329,9 +1426,46 @@
 
       // 1. Deactivate all registered event listeners to prevent memory leaks.
       this._toggleEventListeners(false);
-
-      // 2. Remove the main section pagination container.
+      this._unregister();
+      this._endDrag();
+      this._animations.forEach((animation) => animation.cancel());
+      this.container.classList.remove(
+        "sr-drag",
+        "sr-mouse-drag",
+        "sr-styled-scrollbars"
+      );
+      this.container.style.removeProperty("--sr-peek-offset");
+      this._getMenuItems().forEach((item) =>
+        this._setMenuItemState(item.el, false)
+      );
+      this._updateScrollOverflow(false);
+
+      // 1b. Leave plain-scroll mode so the page scroll and classes are restored.
+      if (this._isResponsive) this._exitResponsiveMode();
+
+      // 1c. Leave the overview grid so its layout properties are removed.
+      if (this._isOverview) this.toggleOverview(false);
+
+      // 1d. Remove the animation classes of every section and slide, including those of
+      // registered animations.
+      this._toggleAnimationClasses(false);
+
+      // 2. Remove the main section pagination container and the autoplay controls.
       this.paginationContainer?.remove();
+      this._stopAutoplayTimers(false);
+      clearTimeout(this._autoplay.resumeTimer);
+      clearTimeout(this._autoplay.focusTimer);
+      this.autoplayButton?.remove();
+      this.autoplayProgress?.remove();
+      this.autoplayButton = null;
+      this.autoplayProgress = null;
+      this.counter?.remove();
+      this.progressBar?.remove();
+      this.counter = null;
+      this.progressBar = null;
+      this.container.style.removeProperty("--sr-progress");
+      this.liveRegion?.remove();
+      this.liveRegion = null;
 
       // 3. Clean up section-specific injected elements and reset classes.
       this.sectionData.forEach((section) => {
@@ -339,28 +1473,54 @@
         section.arrowLeft?.remove();
         section.arrowRight?.remove();
         section.slidePagination?.remove();
+        section.slides.forEach((slide) => {
+          slide.subSlidePagination?.remove();
+          slide.el.classList.remove("sr-has-subs", "sr-scrollable");
+          slide.subSlides.forEach((subSlide) => {
+            subSlide.el.classList.remove("sr-scrollable");
+            this._removeAria(subSlide.el);
+          });
+          this._removeAria(slide.el);
+          this._applyTransitionTiming(slide.el, false);
+        });
+        this._removeAria(section.el);
+        this._setTabOrder(section.el, true);
+        this._applyTransitionTiming(section.el, false);
 
         // Remove transient classes from section elements.
         section.el.classList.remove(
-          "sr-anim-fade",
-          "sr-anim-scale",
-          "sr-anim-zoom",
-          "sr-has-slides"
+          "sr-has-slides",
+          "sr-auto-height",
+          "sr-auto-height-top",
+          "sr-peek",
+          "sr-scrollable",
+          "sr-overflow"
           // Add all other dynamic classes here
         );
       });
 
+      // 3b. Put back the remaining attributes set on the author's elements (e.g., the
+      // `tabindex` that made a heading focusable).
+      this._originalAttributes.forEach((_, el) => this._restoreAttributes(el));
+
       // 4. Clear internal data structures and reset core state for clean disposal.
+      // Pending navigation calls resolve without navigating.
+      this._navigationQueue.forEach(({ resolve }) => resolve(false));
+      this._navigationQueue = [];
       this.sectionData = [];
       this.sections = [];
       this.currentIndex = 0;
       this.currentSlideIndices = {};
+      this.currentSubSlideIndices = {};
+      this._activeMedia.clear();
 
       this.log("SnapRoll instance destroyed successfully.");
+
+      this._emit("destroy");
     }
 
     /**
-     * Adds or removes all core event listeners (wheel, touch, keydown, hashchange).
+     * Adds or removes all core event listeners (wheel, touch, keydown) and the router subscription.
      * Ensures listeners are only active when needed, preventing memory leaks.
      * @private
      * @param {boolean} add - If true, registers listeners; otherwise, deregisters them.
@@ -377,6 +1537,121 @@
         // Attach or detach the event listener.
         target[action](event, handler, options);
       });
+
+      // Watch the responsive media query, if one is configured.
+      this._responsiveQueryList?.removeEventListener(
+        "change",
+        this._updateMode
+      );
+      this._responsiveQueryList = null;
+
+      if (add && this.opts.responsiveQuery && window.matchMedia) {
+        this._responsiveQueryList = window.matchMedia(
+          this.opts.responsiveQuery
+        );
+        this._responsiveQueryList.addEventListener("change", this._updateMode);
+      }
+
+      // Watch the container for added or removed sections and slides, if enabled.
+      this._observer?.disconnect();
+      this._observer = null;
+
+      if (add && this.opts.observe && window.MutationObserver) {
+        this._observer = new MutationObserver(() => this._applyDomChanges());
+        this._observer.observe(this.container, {
+          childList: true,
+          subtree: true,
+        });
+      }
+
+      // Subscribe to (or unsubscribe from) URL changes reported by the router.
+      this._unlistenRouter?.();
+      this._unlistenRouter = null;
+
+      if (!add) return;
+
+      if (this.opts.history === "none") {
+        this.log("Skipping router subscription (history option is 'none').");
+      } else if (typeof this.router.listen === "function") {
+        this._unlistenRouter = this.router.listen(
+          this._handleRouteChange.bind(this)
+        );
+      }
+    }
+
+    /**
+     * Resolves the `router` option into a router adapter. Strings select one of the
+     * built-in strategies; objects are used as custom adapters and must implement
+     * `read()` and `write()` (`listen()` is optional).
+     * @private
+     * @returns {SnapRollRouter} The router adapter.
+     */
+    _createRouter() {
+      const { router } = this.opts;
+
+      if (router && typeof router === "object") {
+        if (
+          typeof router.read !== "function" ||
+          typeof router.write !== "function"
+        ) {
+          console.warn(
+            "[SnapRoll] Config warning: a custom 'router' must implement read() and write(). Falling back to 'hash'."
+          );
+          return ROUTERS.hash(this.opts);
+        }
+        return router;
+      }
+
+      if (!ROUTERS[router]) {
+        console.warn(
+          `[SnapRoll] Config warning: unknown router '${router}'. Falling back to 'hash'.`
+        );
+        return ROUTERS.hash(this.opts);
+      }
+
+      return ROUTERS[router](this.opts);
+    }
+
+    /**
+     * Resolves the `persist` option into a storage: 'session' and 'local' select the
+     * browser storages, objects are used as custom storages and must implement
+     * `getItem()` and `setItem()`.
+     * @private
+     * @returns {SnapRollStorage|null} The storage, or null if the state is not persisted.
+     */
+    _createStorage() {
+      const { persist } = this.opts;
+      if (!persist) return null;
+
+      if (typeof persist === "object") {
+        if (
+          typeof persist.getItem !== "function" ||
+          typeof persist.setItem !== "function"
+        ) {
+          console.warn(
+            "[SnapRoll] Config warning: a custom 'persist' storage must implement getItem() and setItem(). State is not persisted."
+          );
+          return null;
+        }
+        return persist;
+      }
+
+      if (persist !== "session" && persist !== "local") {
+        console.warn(
+          `[SnapRoll] Config warning: unknown persist storage '${persist}'. State is not persisted.`
+        );
+        return null;
+      }
+
+      // Browsers may deny access to storage (e.g., with cookies blocked).
+      try {
+        return persist === "local"
+          ? window.localStorage
+          : window.sessionStorage;
+      } catch (error) {
+        this.log("Storage unavailable; state is not persisted.", error);
+        return null;
+      }
     }
 
     /**
@@ -419,9 +1694,6 @@
      * @param {object} sectionData - The internal data object for the current section.
      */
     _setupSlides(sectionData) {
-      // Exit early if the section doesn't have at least two slides.
-      if (sectionData.slides.length < 2) return;
-
       // --- 1. Clean up existing controls (crucial for refresh robustness) ---
 
       // Define a utility function for repetitive cleanup logic
@@ -439,29 +1711,30 @@
       sectionData.arrowRight = null;
       sectionData.slidePagination = null;
 
+      // Exit early if the section doesn't have at least two slides.
+      if (sectionData.slides.length < 2) return;
+
       // --- 2. Setup Slide Arrows ---
 
       if (this.opts.slideArrows) {
         // Create arrow elements
         sectionData.arrowLeft = this._createEl("button", {
           className: "sr-arrow sr-arrow-left",
-          ariaLabel: "Previous slide",
+          type: "button",
+          ariaLabel: formatLabel(this.opts.labels.prevSlide, {}),
         });
         sectionData.arrowRight = this._createEl("button", {
           className: "sr-arrow sr-arrow-right",
-          ariaLabel: "Next slide",
+          type: "button",
+          ariaLabel: formatLabel(this.opts.labels.nextSlide, {}),
         });
 
         // Add event listeners for navigation and debouncing (using arrow functions to retain 'this')
         const addArrowListener = (arrowEl, directionFn) => {
           arrowEl.addEventListener("click", () => {
-            // Debounce: Prevents interaction during animation or if at the visual limit
-            if (
-              this._isAnimating ||
-              arrowEl.classList.contains("sr-arrow-hidden")
-            ) {
-              return;
-            }
+            // Ignore clicks at the visual limit. Clicks during a transition are left to
+            // the navigationQueue option.
+            if (arrowEl.classList.contains("sr-arrow-hidden")) return;
             directionFn();
           });
         };
@@ -476,27 +1749,43 @@
       // --- 3. Setup Slide Pagination Dots ---
 
       if (this.opts.slidePagination) {
-        const dots = sectionData.slides.map((_, index) =>
-          this._createEl("li", {}, [
-            this._createEl("a", {
-              className: "sr-slide-dot",
-              "data-index": index,
+        const total = sectionData.slides.length;
+        const slideIndex = this.currentSlideIndices[sectionData.index] ?? 0;
+        const dots = sectionData.slides.map((slide, index) => {
+          const link = this._createEl("button", {
+            className: "sr-slide-dot",
+            type: "button",
+            role: "tab",
+            "data-index": index,
+            "aria-controls": this._getViewId(slide.el),
+            ariaLabel: formatLabel(this.opts.labels.slideDot, {
+              index: index + 1,
+              total,
             }),
-          ])
-        );
+          });
+          this._setDotState(link, "sr-slide-dot-active", index === slideIndex);
+          this._fillBullet(link, slide, sectionData);
+
+          return this._createEl("li", { role: "presentation" }, [link]);
+        });
 
         // Create the pagination container (UL)
+        const type = this.opts.renderSlideBullet
+          ? "custom"
+          : this.opts.slidePaginationType;
         sectionData.slidePagination = this._createEl(
           "ul",
           {
-            className: `sr-slide-dots sr-slide-dots-${this.opts.slidePaginationPosition}`,
+            className: `sr-slide-dots sr-slide-dots-${this.opts.slidePaginationPosition} sr-slide-dots-${type}`,
+            role: "tablist",
+            ariaLabel: formatLabel(this.opts.labels.slidePagination, {}),
           },
           dots
         );
 
         // Add click listener for dot navigation
         sectionData.slidePagination.addEventListener("click", (e) => {
-          const target = e.target.closest("[data-index]");
+          const target = e.target.closest(".sr-slide-dot[data-index]");
           if (!target) return;
 
           const index = parseInt(target.dataset.index, 10);
@@ -505,6 +1794,11 @@
             this.goToSlide(index);
           }
         });
+        this._addTablistKeys(
+          sectionData.slidePagination,
+          ".sr-slide-dot",
+          "horizontal"
+        );
 
         // Append pagination to the section element
         sectionData.el.appendChild(sectionData.slidePagination);
@@ -512,665 +1806,4281 @@
     }
 
     /**
-     * Creates, attaches, and updates the main pagination dots for navigating between sections.
-     * This method is idempotent: it cleans up or reuses existing containers efficiently.
+     * Creates and attaches the pagination dots for slides that contain multiple vertical
+     * sub-slides. Ensures old controls are cleaned up before re-creation.
      * @private
+     * @param {object} slideData - The internal data object for the slide.
+     * @param {number} sectionIndex - The zero-based index of its section.
      */
-    _createPagination() {
-      // 1. Exit early and clean up if pagination is disabled or there are fewer than two sections.
-      if (!this.opts.pagination || this.sections.length < 2) {
-        this.paginationContainer?.remove();
-        this.paginationContainer = null;
-        this.log(
-          "Pagination controls skipped (disabled or insufficient sections)."
-        );
-        return;
-      }
-
-      // 2. Create the main pagination container (UL) only if it doesn't exist yet.
-      if (!this.paginationContainer) {
-        this.paginationContainer = this._createEl("ul", {
-          className: `sr-dots sr-dots-${this.opts.paginationPosition}`,
-        });
-
-        // Attach event listener to the container (using event delegation for efficiency)
-        this.paginationContainer.addEventListener("click", (e) => {
-          // Prevent default hash navigation if a hash exists
-          e.preventDefault();
-
-          const target = e.target.closest("[data-index]");
-          if (!target) return;
-
-          const index = parseInt(target.dataset.index, 10);
-
-          // Ensure the index is valid before navigating.
-          if (!isNaN(index)) {
-            this.goToSection(index);
-          }
+    _setupSubSlides(slideData, sectionIndex) {
+      // 1. Clean up existing controls (crucial for refresh robustness).
+      slideData.el
+        .querySelectorAll(":scope > .sr-sub-dots")
+        .forEach((existing) => existing.remove());
+      slideData.subSlidePagination = null;
+
+      slideData.el.classList.toggle(
+        "sr-has-subs",
+        slideData.subSlides.length > 1
+      );
+
+      // Exit early if the slide doesn't have at least two sub-slides.
+      if (slideData.subSlides.length < 2) return;
+
+      if (!this.opts.subSlidePagination) return;
+
+      // 2. Create the vertical pagination container (UL).
+      const total = slideData.subSlides.length;
+      const subSlideIndex = this._getSubSlideIndex(
+        sectionIndex,
+        slideData.index
+      );
+      const dots = slideData.subSlides.map((subSlide, index) => {
+        const link = this._createEl("button", {
+          className: "sr-sub-dot",
+          type: "button",
+          role: "tab",
+          "data-index": index,
+          "aria-controls": this._getViewId(subSlide.el),
+          ariaLabel: formatLabel(this.opts.labels.subSlideDot, {
+            index: index + 1,
+            total,
+          }),
         });
+        this._setDotState(link, "sr-sub-dot-active", index === subSlideIndex);
 
-        // Append to the main container
-        this.container.appendChild(this.paginationContainer);
-        this.log("Main section pagination container created.");
-      }
-
-      // 3. Generate new dot elements based on current section data.
-      const dots = this.sectionData.map((data, index) => {
-        // Determine the label for accessibility and usability
-        const label = data.title || `section ${index + 1}`;
+        return this._createEl("li", { role: "presentation" }, [link]);
+      });
 
-        const link = this._createEl("a", {
-          className: "sr-dot",
-          "data-index": index,
-          ariaLabel: `Go to ${label}`,
-        });
+      slideData.subSlidePagination = this._createEl(
+        "ul",
+        {
+          className: "sr-sub-dots",
+          role: "tablist",
+          "aria-orientation": "vertical",
+          ariaLabel: formatLabel(this.opts.labels.subSlidePagination, {}),
+        },
+        dots
+      );
 
-        // Conditionally set the hash URL for deep linking
-        if (data.hash) link.href = `#${data.hash}`;
+      // 3. Add click listener for dot navigation.
+      slideData.subSlidePagination.addEventListener("click", (e) => {
+        const target = e.target.closest("[data-index]");
+        if (!target) return;
 
-        return this._createEl("li", {}, [link]);
+        const index = parseInt(target.dataset.index, 10);
+        if (!isNaN(index)) {
+          this.goToSubSlide(index);
+        }
       });
+      this._addTablistKeys(
+        slideData.subSlidePagination,
+        ".sr-sub-dot",
+        "vertical"
+      );
 
-      // 4. Update the pagination container using the efficient replaceChildren API.
-      // This is highly performant for updating lists.
-      this.paginationContainer.replaceChildren(...dots);
-
-      this.log(`Pagination updated with ${dots.length} dots.`);
+      slideData.el.appendChild(slideData.subSlidePagination);
     }
 
     /**
-     * Reads the URL hash to determine the initial or current target section and slide.
-     * Navigates to the identified target if it differs from the current position.
+     * Applies roles and accessible names: sections are labelled regions (carousels when
+     * they have slides), slides and sub-slides are labelled groups with a 'slide' role description.
      * @private
-     * @param {boolean} [isInitialLoad=false] - True if this is called during instance initialization.
      */
-    _parseInitialHash(isInitialLoad = false) {
-      const fullHash = window.location.hash.substring(1);
-      let targetSectionIndex = 0;
-      let targetSlideIndex = 0;
+    _applyAriaRoles() {
+      const { labels } = this.opts;
 
-      if (fullHash) {
-        this.log(`Attempting to parse URL hash: #${fullHash}`);
-
-        // Split the hash using the configured separator (e.g., 'sectionHash/slideHash')
-        const [sectionHash, slideHash] = fullHash.split(
-          this.opts.hashSeparator
-        );
-
-        // --- 1. Find Section Index ---
-        const foundSectionIndex = this.sectionData.findIndex(
-          (data) => data.hash === sectionHash
+      this.sectionData.forEach((section) => {
+        this._setOwnAttribute(section.el, "role", "region");
+        this._setOwnAttribute(
+          section.el,
+          "aria-label",
+          formatLabel(labels.section, this._getSectionLabelValues(section))
         );
 
-        if (foundSectionIndex !== -1) {
-          targetSectionIndex = foundSectionIndex;
-
-          // --- 2. Find Slide Index (if slideHash is present) ---
-          if (slideHash) {
-            const section = this.sectionData[targetSectionIndex];
-            let foundSlideIndex = -1;
-
-            // a) Try matching by slide hash (string)
-            foundSlideIndex = section.slides.findIndex(
-              (s) => s.hash === slideHash
-            );
-
-            // b) If hash match failed, try matching by slide number (1-based index)
-            if (foundSlideIndex === -1) {
-              const slideNum = parseInt(slideHash, 10);
-
-              if (
-                !isNaN(slideNum) &&
-                slideNum > 0 &&
-                slideNum <= section.slides.length
-              ) {
-                // Convert 1-based number (slideNum) to 0-based index
-                foundSlideIndex = slideNum - 1;
-              }
-            }
-
-            // Assign the found index, defaulting to 0 if no slide was matched
-            targetSlideIndex = foundSlideIndex !== -1 ? foundSlideIndex : 0;
-          }
+        if (section.slides.length > 1) {
+          this._setOwnAttribute(
+            section.el,
+            "aria-roledescription",
+            formatLabel(labels.carousel, {})
+          );
         } else {
-          this.log(`Section hash '${sectionHash}' not found.`);
+          this._restoreAttributes(section.el, ["aria-roledescription"]);
         }
-      }
 
-      // --- 3. Navigate only if necessary ---
-      const currentSlideIndex =
-        this.currentSlideIndices[targetSectionIndex] || 0;
+        const setSlideAria = (el, template, index, total) => {
+          this._setOwnAttribute(el, "role", "group");
+          this._setOwnAttribute(
+            el,
+            "aria-roledescription",
+            formatLabel(labels.slideRole, {})
+          );
+          this._setOwnAttribute(
+            el,
+            "aria-label",
+            formatLabel(template, { index: index + 1, total })
+          );
+        };
 
-      const shouldNavigate =
-        isInitialLoad ||
-        this.currentIndex !== targetSectionIndex ||
-        currentSlideIndex !== targetSlideIndex;
+        section.slides.forEach((slide) => {
+          setSlideAria(
+            slide.el,
+            labels.slide,
+            slide.index,
+            section.slides.length
+          );
+          slide.subSlides.forEach((subSlide) =>
+            setSlideAria(
+              subSlide.el,
+              labels.subSlide,
+              subSlide.index,
+              slide.subSlides.length
+            )
+          );
+        });
+      });
+    }
 
-      if (shouldNavigate) {
-        this.log(
-          `Navigating to target section ${targetSectionIndex}, slide ${targetSlideIndex}.`
-        );
+    /**
+     * Removes the hidden state applied by the instance and puts back the author's own roles,
+     * accessible names and ids.
+     * @private
+     * @param {HTMLElement} el - A section, slide or sub-slide element.
+     */
+    _removeAria(el) {
+      el.removeAttribute("aria-hidden");
+      this._restoreAttributes(el);
+    }
 
-        // Update internal state
-        this.currentIndex = targetSectionIndex;
-        this.currentSlideIndices[targetSectionIndex] = targetSlideIndex;
+    /**
+     * Sets an attribute on one of the author's elements (e.g., a section or a heading),
+     * keeping its original value the first time so that destroy() can put it back.
+     * @private
+     * @param {HTMLElement} el - The element.
+     * @param {string} name - The attribute name.
+     * @param {string} value - The new value.
+     */
+    _setOwnAttribute(el, name, value) {
+      const originals = this._originalAttributes.get(el) ?? {};
+      if (!(name in originals)) originals[name] = el.getAttribute(name);
 
-        // Apply changes to the DOM and UI controls
-        // Using `_updateActiveElements` ensures that the position is set without animation.
-        this._updateActiveElements();
-      } else {
-        this.log("Hash matches current position; no navigation required.");
-      }
+      this._originalAttributes.set(el, originals);
+      el.setAttribute(name, value);
     }
 
     /**
-     * Handles the 'hashchange' window event. Re-parses the URL hash
-     * to navigate the user to the corresponding section/slide.
+     * Returns the author's value of an attribute, ignoring the value set by the instance.
      * @private
+     * @param {HTMLElement} el - The element.
+     * @param {string} name - The attribute name.
+     * @returns {string|null} The original value, or null if the author did not set it.
      */
-    _handleHashChange() {
-      this._parseInitialHash();
+    _getOriginalAttribute(el, name) {
+      const originals = this._originalAttributes.get(el);
+      return originals && name in originals
+        ? originals[name]
+        : el.getAttribute(name);
     }
 
     /**
-     * Checks if a given DOM element is an editable input field (e.g., input, textarea, or contenteditable).
-     * This prevents navigation events (like keydown) from firing when the user is typing.
+     * Puts back the original values of attributes set through _setOwnAttribute(),
+     * removing those the author did not set.
      * @private
-     * @param {HTMLElement|null} target - The DOM element to check.
-     * @returns {boolean} True if the element is editable; otherwise, false.
+     * @param {HTMLElement} el - The element.
+     * @param {string[]} [names] - The attributes to restore; all of them by default.
      */
-    _isEditableTarget(target) {
-      // Use a null check for robustness.
-      if (!target) return false;
+    _restoreAttributes(el, names) {
+      const originals = this._originalAttributes.get(el);
+      if (!originals) return;
 
-      // Prioritize checking the `isContentEditable` property.
-      if (target.isContentEditable) return true;
+      (names ?? Object.keys(originals)).forEach((name) => {
+        if (!(name in originals)) return;
 
-      // Check against a predefined set of tags (EDITABLE_TAGS).
-      // Tag names must be converted to uppercase for consistent comparison.
-      return EDITABLE_TAGS.has(target.tagName);
+        if (originals[name] === null) {
+          el.removeAttribute(name);
+        } else {
+          el.setAttribute(name, originals[name]);
+        }
+        delete originals[name];
+      });
+
+      if (Object.keys(originals).length === 0)
+        this._originalAttributes.delete(el);
     }
 
     /**
-     * Checks if the event originated from within a scrollable child element.
-     * This is crucial for preventing unwanted section/slide transitions when
-     * the user is scrolling content inside a nested element (e.g., a modal or a div with overflow).
+     * Returns the id of a section, slide or sub-slide, giving it a generated one
+     * (`sr-view-<n>`) if it has none.
      * @private
-     * @param {HTMLElement|null} target - The starting DOM element (where the event originated).
-     * @param {number} deltaY - The direction of the scroll (positive for down, negative for up).
-     * @returns {boolean} True if a scrollable ancestor is found and is not at its scroll limit; otherwise, false.
+     * @param {HTMLElement} el - The element.
+     * @returns {string} The id.
      */
-    _hasScrollableAncestor(target, deltaY) {
-      let el = target;
+    _getViewId(el) {
+      if (!el.id)
+        this._setOwnAttribute(el, "id", `sr-view-${++generatedIdCount}`);
+      return el.id;
+    }
 
-      // Traverse up the DOM tree until the SnapRoll container is reached.
+    /**
+     * Builds the placeholder values of section labels.
+     * @private
+     * @param {object} section - The internal data object of the section.
+     * @returns {{index: number, total: number, title: string}} The label values.
+     */
+    _getSectionLabelValues(section) {
+      return {
+        index: section.index + 1,
+        total: this.sectionData.length,
+        title: section.title || "",
+      };
+    }
+
+    /**
+     * Hides (or reveals) an off-screen element from assistive technology and takes its
+     * focusable content out of (or back into) the tab order. Must be applied from the
+     * outermost level inwards (sections, then slides, then sub-slides), since revealing
+     * an element restores everything inside it.
+     * @private
+     * @param {HTMLElement} el - The element.
+     * @param {boolean} hidden - True to hide the element.
+     */
+    _setHidden(el, hidden) {
+      if (hidden) {
+        el.setAttribute("aria-hidden", "true");
+      } else {
+        el.removeAttribute("aria-hidden");
+      }
+      this._setTabOrder(el, !hidden);
+    }
+
+    /**
+     * Removes the focusable content of an element from the tab order (`tabindex="-1"`),
+     * keeping the original `tabindex` in `data-sr-tabindex`, or restores it.
+     * @private
+     * @param {HTMLElement} el - The element.
+     * @param {boolean} tabbable - True to restore the original tab order.
+     */
+    _setTabOrder(el, tabbable) {
+      if (tabbable) {
+        el.querySelectorAll("[data-sr-tabindex]").forEach((item) => {
+          const original = item.dataset.srTabindex;
+          if (original) {
+            item.setAttribute("tabindex", original);
+          } else {
+            item.removeAttribute("tabindex");
+          }
+          item.removeAttribute("data-sr-tabindex");
+        });
+        return;
+      }
+
+      el.querySelectorAll(FOCUSABLE_SELECTOR).forEach((item) => {
+        // Already taken out of the tab order (e.g., by an outer level).
+        if (item.hasAttribute("data-sr-tabindex")) return;
+
+        item.dataset.srTabindex = item.getAttribute("tabindex") ?? "";
+        item.setAttribute("tabindex", "-1");
+      });
+    }
+
+    /**
+     * Navigates to the section, slide and sub-slide containing the focused element when
+     * focus lands outside of the current position (e.g., when tabbing or through a
+     * fragment link), and undoes the scrolling the browser did to reveal it.
+     * @private
+     * @param {FocusEvent} e - The focus event object.
+     */
+    _onFocusIn(e) {
+      if (this._isResponsive || this._isOverview) return;
+
+      // 1. Locate the focused element in the section → slide → sub-slide tree.
+      const section = this.sectionData.find((s) => s.el.contains(e.target));
+      if (!section) return;
+
+      const slide = section.slides.find((s) => s.el.contains(e.target));
+      const subSlide = slide?.subSlides.find((s) => s.el.contains(e.target));
+      const target = {
+        section: section.index,
+        slide: slide?.index ?? this.currentSlideIndices[section.index] ?? 0,
+        subSlide:
+          subSlide?.index ??
+          this._getSubSlideIndex(section.index, slide?.index ?? 0),
+      };
+
+      const current = this.getPosition();
+      const isCurrent =
+        target.section === current.section &&
+        target.slide === current.slide &&
+        target.subSlide === current.subSlide;
+      if (isCurrent) return;
+
+      // 2. Undo the scroll offsets the browser set to reveal the off-screen view.
+      this._resetFocusScroll(e.target);
+
+      // 3. Follow the focus.
+      this.log(
+        `Focus moved to section ${target.section}, slide ${target.slide}, sub-slide ${target.subSlide}. Navigating.`
+      );
+      this.goTo(target.section, target.slide, target.subSlide);
+    }
+
+    /**
+     * Resets the scroll offsets of the wrappers positioned by the library (container,
+     * sections, slide tracks, slides and sub-slides) around an element. Browsers scroll
+     * them to reveal a focused element, which would shift the transform-based layout out
+     * of place. Scrollable areas of the content itself are left alone.
+     * @private
+     * @param {HTMLElement} el - The focused element.
+     */
+    _resetFocusScroll(el) {
+      const section = this.sectionData.find((s) => s.el.contains(el));
+      const slide = section?.slides.find((s) => s.el.contains(el));
+      const subSlide = slide?.subSlides.find((s) => s.el.contains(el));
+
+      [
+        this.container,
+        section?.el,
+        slide?.el.parentElement,
+        slide?.el,
+        subSlide?.el.parentElement,
+        subSlide?.el,
+      ].forEach((node) => {
+        if (!node) return;
+        node.scrollTop = 0;
+        node.scrollLeft = 0;
+      });
+    }
+
+    /**
+     * Moves focus into the current section, slide or sub-slide after a navigation,
+     * according to the `focusOnNavigate` option. Headings and the view itself are made
+     * programmatically focusable (`tabindex="-1"`) when needed.
+     * @private
+     */
+    _focusCurrentView() {
+      if (this.opts.focusOnNavigate === "none") return;
+
+      // 1. Find the deepest active element: sub-slide, slide or section.
+      const section = this.sectionData[this.currentIndex];
+      if (!section) return;
+
+      const slide =
+        section.slides[this.currentSlideIndices[this.currentIndex] ?? 0];
+      const view =
+        slide?.subSlides[this._getSubSlideIndex()]?.el ??
+        slide?.el ??
+        section.el;
+
+      // Leave focus alone if it already is in the new view (e.g., the user tabbed there).
+      if (view.contains(document.activeElement)) return;
+
+      // 2. Pick the target element, falling back to the view itself.
+      const target =
+        (this.opts.focusOnNavigate === "heading"
+          ? view.querySelector("h1, h2, h3, h4, h5, h6")
+          : Array.from(view.querySelectorAll(FOCUSABLE_SELECTOR)).find(
+              (item) => !item.disabled && item.getAttribute("tabindex") !== "-1"
+            )) || view;
+
+      if (!target.matches(FOCUSABLE_SELECTOR)) {
+        this._setOwnAttribute(target, "tabindex", "-1");
+      }
+      target.focus({ preventScroll: true });
+    }
+
+    /**
+     * Syncs a pagination dot with the active state: class, `aria-selected`, `aria-current`
+     * and the roving tabindex, which leaves the active dot as the only tab stop of its list.
+     * @private
+     * @param {HTMLElement} dot - The dot button.
+     * @param {string} activeClass - The class marking the active dot.
+     * @param {boolean} active - True if the dot represents the current position.
+     */
+    _setDotState(dot, activeClass, active) {
+      dot.classList.toggle(activeClass, active);
+      dot.setAttribute("aria-selected", String(active));
+
+      if (active) {
+        dot.setAttribute("aria-current", "true");
+      } else {
+        dot.removeAttribute("aria-current");
+      }
+
+      // Dots of hidden views are out of the tab order; update the value restored later.
+      const tabindex = active ? "0" : "-1";
+      if (dot.hasAttribute("data-sr-tabindex")) {
+        dot.dataset.srTabindex = tabindex;
+      } else {
+        dot.setAttribute("tabindex", tabindex);
+      }
+    }
+
+    /**
+     * Lets the arrow keys of its orientation (and Home/End) move focus between the dots of
+     * a pagination list. Enter and Space then activate the focused dot, like a click.
+     * @private
+     * @param {HTMLElement} list - The tablist element.
+     * @param {string} selector - The selector of its dots.
+     * @param {'horizontal'|'vertical'} orientation - The orientation of the list.
+     */
+    _addTablistKeys(list, selector, orientation) {
+      const steps =
+        orientation === "vertical"
+          ? { ArrowUp: -1, ArrowDown: 1 }
+          : { ArrowLeft: -1, ArrowRight: 1 };
+
+      list.addEventListener("keydown", (e) => {
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const dots = Array.from(
+          list.querySelectorAll(`:scope > li > ${selector}`)
+        );
+        const index = dots.indexOf(e.target);
+        if (index === -1) return;
+
+        let next;
+        if (e.key in steps) {
+          next = (index + steps[e.key] + dots.length) % dots.length;
+        } else if (e.key === "Home") {
+          next = 0;
+        } else if (e.key === "End") {
+          next = dots.length - 1;
+        } else {
+          return;
+        }
+
+        // The key moves focus within the list; keep the deck's key bindings out of it.
+        e.preventDefault();
+        e.stopPropagation();
+        dots[next].focus();
+      });
+    }
+
+    /**
+     * Creates the visually hidden, polite live region used for announcements.
+     * @private
+     */
+    _createLiveRegion() {
+      if (this.liveRegion) return;
+
+      this.liveRegion = this._createEl("div", {
+        className: "sr-live",
+        "aria-live": "polite",
+        "aria-atomic": "true",
+      });
+      this.container.appendChild(this.liveRegion);
+    }
+
+    /**
+     * Announces the new position through the live region after a transition
+     * (e.g., "Section 3 of 7: Projects" or "Slide 2 of 4").
+     * @private
+     * @param {string} event - The event closing the transition (e.g., 'afterSectionChange').
+     */
+    _announcePosition(event) {
+      const section = this.sectionData[this.currentIndex];
+      if (!this.liveRegion || !section) return;
+
+      const { labels } = this.opts;
+      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+      const slide = section.slides[slideIndex];
+      const messages = {
+        afterSectionChange: () =>
+          formatLabel(
+            labels.sectionAnnouncement,
+            this._getSectionLabelValues(section)
+          ),
+        afterSlideChange: () =>
+          formatLabel(labels.slideAnnouncement, {
+            index: slideIndex + 1,
+            total: section.slides.length,
+          }),
+        afterSubSlideChange: () =>
+          formatLabel(labels.subSlideAnnouncement, {
+            index: this._getSubSlideIndex() + 1,
+            total: slide?.subSlides.length ?? 0,
+          }),
+      };
+
+      const message = messages[event]?.();
+      if (message) this.liveRegion.textContent = message;
+    }
+
+    /**
+     * Creates, attaches, and updates the main pagination dots for navigating between sections.
+     * This method is idempotent: it cleans up or reuses existing containers efficiently.
+     * @private
+     */
+    _createPagination() {
+      // 1. Exit early and clean up if pagination is disabled or there are fewer than two sections.
+      if (!this.opts.pagination || this.sections.length < 2) {
+        this.paginationContainer?.remove();
+        this.paginationContainer = null;
+        this.log(
+          "Pagination controls skipped (disabled or insufficient sections)."
+        );
+        return;
+      }
+
+      // 2. Create the main pagination container (UL) only if it doesn't exist yet.
+      if (!this.paginationContainer) {
+        const type = this.opts.renderBullet
+          ? "custom"
+          : this.opts.paginationType;
+        const orientation = ["top", "bottom"].includes(
+          this.opts.paginationPosition
+        )
+          ? "horizontal"
+          : "vertical";
+        this.paginationContainer = this._createEl("ul", {
+          className: `sr-dots sr-dots-${this.opts.paginationPosition} sr-dots-${type}`,
+          role: "tablist",
+          "aria-orientation": orientation,
+          ariaLabel: formatLabel(this.opts.labels.sectionPagination, {}),
+        });
+
+        // Attach event listener to the container (using event delegation for efficiency)
+        this.paginationContainer.addEventListener("click", (e) => {
+          // Custom bullet markup may hold other elements; the button carries the index.
+          const target = e.target.closest(".sr-dot[data-index]");
+          if (!target) return;
+
+          const index = parseInt(target.dataset.index, 10);
+
+          // Ensure the index is valid before navigating.
+          if (!isNaN(index)) {
+            this.goToSection(index);
+          }
+        });
+        this._addTablistKeys(this.paginationContainer, ".sr-dot", orientation);
+
+        // Append to the main container
+        this.container.appendChild(this.paginationContainer);
+        this.log("Main section pagination container created.");
+      }
+
+      // 3. Generate new dot elements based on current section data.
+      const dots = this.sectionData.map((data, index) => {
+        const link = this._createEl("button", {
+          className: "sr-dot",
+          type: "button",
+          role: "tab",
+          "data-index": index,
+          "aria-controls": this._getViewId(data.el),
+          ariaLabel: formatLabel(
+            this.opts.labels.sectionDot,
+            this._getSectionLabelValues(data)
+          ),
+        });
+        this._setDotState(link, "sr-dot-active", index === this.currentIndex);
+        this._fillBullet(link, data);
+
+        return this._createEl("li", { role: "presentation" }, [link]);
+      });
+
+      // 4. Update the pagination container using the efficient replaceChildren API.
+      // This is highly performant for updating lists.
+      this.paginationContainer.replaceChildren(...dots);
+
+      this.log(`Pagination updated with ${dots.length} dots.`);
+    }
+
+    /**
+     * Fills a pagination button with the content of its pagination type, or with the markup
+     * of the render hook, and adds a tooltip if enabled. The button itself keeps its role,
+     * index and accessible name, so custom markup needs no wiring.
+     * @private
+     * @param {HTMLElement} link - The pagination button (`.sr-dot` or `.sr-slide-dot`).
+     * @param {object} item - The internal data object of the section or slide.
+     * @param {object} [section] - For slide buttons, the internal data object of their section.
+     */
+    _fillBullet(link, item, section) {
+      const isSlide = Boolean(section);
+      const render = isSlide
+        ? this.opts.renderSlideBullet
+        : this.opts.renderBullet;
+      const type = isSlide
+        ? this.opts.slidePaginationType
+        : this.opts.paginationType;
+      const title = (isSlide ? item.el.dataset.srTitle : item.title) || "";
+      const number = String(item.index + 1);
+      let content = null;
+
+      if (typeof render === "function") {
+        const info = { el: item.el, index: item.index, hash: item.hash, title };
+        content = isSlide
+          ? render(info, item.index, {
+              el: section.el,
+              index: section.index,
+              hash: section.hash,
+              title: section.title || "",
+            })
+          : render(info, item.index);
+      } else if (type === "numbers" || type === "labels") {
+        content = this._createEl("span", { className: "sr-dot-text" }, [
+          document.createTextNode(type === "labels" && title ? title : number),
+        ]);
+      } else if (type === "thumbnails") {
+        content = this._createThumbnail(item.el);
+      }
+
+      if (typeof content === "string") {
+        link.innerHTML = content;
+      } else if (content instanceof Node) {
+        link.appendChild(content);
+      }
+
+      // The tooltip repeats what the accessible name already says.
+      if (this.opts.paginationTooltips) {
+        link.appendChild(
+          this._createEl(
+            "span",
+            { className: "sr-dot-tooltip", "aria-hidden": "true" },
+            [document.createTextNode(title || number)]
+          )
+        );
+      }
+    }
+
+    /**
+     * Creates the thumbnail of a section or slide for the pagination: the `data-sr-thumb`
+     * image, or else a live miniature, an inert copy of its content scaled down by CSS
+     * (`--sr-thumb-scale`) without ids, injected or form controls, media or lazy sources.
+     * @private
+     * @param {HTMLElement} el - The section or slide element.
+     * @returns {HTMLElement} The thumbnail element.
+     */
+    _createThumbnail(el) {
+      if (el.dataset.srThumb) {
+        return this._createEl("span", { className: "sr-thumb" }, [
+          this._createEl("img", {
+            src: el.dataset.srThumb,
+            alt: "",
+            loading: "lazy",
+          }),
+        ]);
+      }
+
+      const content = this._createEl("span", { className: "sr-thumb-content" });
+      content.append(
+        ...Array.from(el.childNodes, (child) => child.cloneNode(true))
+      );
+      content
+        .querySelectorAll(THUMB_IGNORE_SELECTOR)
+        .forEach((item) => item.remove());
+      THUMB_STRIPPED_ATTRIBUTES.forEach((name) =>
+        content
+          .querySelectorAll(`[${name}]`)
+          .forEach((item) => item.removeAttribute(name))
+      );
+
+      return this._createEl(
+        "span",
+        {
+          className: "sr-thumb sr-thumb-live",
+          "aria-hidden": "true",
+          inert: "",
+        },
+        [content]
+      );
+    }
+
+    /**
+     * Reads the current route (through the router) to determine the initial or current target section and slide.
+     * Navigates to the identified target if it differs from the current position.
+     * @private
+     * @param {boolean} [isInitialLoad=false] - True if this is called during instance initialization.
+     */
+    _parseRoute(isInitialLoad = false) {
+      // With history disabled, the URL is ignored entirely and the deck starts at the top.
+      const segments = this.opts.history === "none" ? [] : this.router.read();
+      const target = this._resolveRoute(segments);
+
+      // Routes that do not belong to the deck (e.g., an in-page anchor such as '#footnote-3')
+      // are ignored instead of resetting the position. On load, the deck starts at the top.
+      if (!target && !isInitialLoad) {
+        this.log("Route not claimed by the deck; ignoring it.");
+        return;
+      }
+
+      const targetSectionIndex = target?.section ?? 0;
+      const targetSlideIndex = target?.slide ?? 0;
+      const targetSubSlideIndex = target?.subSlide ?? 0;
+
+      // --- 3. Navigate only if necessary ---
+      const currentSlideIndex =
+        this.currentSlideIndices[targetSectionIndex] || 0;
+
+      const shouldNavigate =
+        isInitialLoad ||
+        this.currentIndex !== targetSectionIndex ||
+        currentSlideIndex !== targetSlideIndex ||
+        this._getSubSlideIndex(targetSectionIndex, targetSlideIndex) !==
+          targetSubSlideIndex;
+
+      if (shouldNavigate) {
+        this.log(
+          `Navigating to target section ${targetSectionIndex}, slide ${targetSlideIndex}, sub-slide ${targetSubSlideIndex}.`
+        );
+
+        // Listeners are told about the change like for any navigation, but cannot veto it:
+        // the URL already shows the new position (e.g., after Back or Forward).
+        const from = this.getPosition();
+        const to = {
+          section: targetSectionIndex,
+          slide: targetSlideIndex,
+          subSlide: targetSubSlideIndex,
+        };
+        if (!isInitialLoad) this._emitPositionChange("before", from, to);
+
+        // Update internal state
+        this.currentIndex = targetSectionIndex;
+        this.currentSlideIndices[targetSectionIndex] = targetSlideIndex;
+        this._setSubSlideIndex(
+          targetSectionIndex,
+          targetSlideIndex,
+          targetSubSlideIndex
+        );
+
+        // Apply changes to the DOM and UI controls
+        // Using `_updateActiveElements` ensures that the position is set without animation.
+        // The flag keeps the URL update from adding a history entry while restoring.
+        this._isSyncingFromURL = true;
+        this._updateActiveElements();
+        this._isSyncingFromURL = false;
+
+        if (!isInitialLoad) {
+          this._emitPositionChange("after", from, to);
+          this._resetAutoplay();
+        }
+      } else {
+        this.log("Route matches current position; no navigation required.");
+      }
+    }
+
+    /**
+     * Resolves route segments to a position in the deck. The section key is matched by
+     * section hash first and then by section number (1-based), so `#3--2` addresses the
+     * second slide of the third section, and `#3--2--4` its fourth sub-slide.
+     * @private
+     * @param {string[]|null} segments - The route segments read from the router.
+     * @returns {{section: number, slide: number, subSlide: number}|null} The target position, or null if the route does not belong to the deck.
+     */
+    _resolveRoute(segments) {
+      // The URL is not claimed by the router (e.g., a foreign hash prefix or path).
+      if (!segments) return null;
+
+      const [sectionKey, slideKey, subSlideKey] = segments;
+
+      // An empty route addresses the start of the deck.
+      if (!sectionKey) return { section: 0, slide: 0, subSlide: 0 };
+
+      this.log(`Attempting to parse route: ${segments.join(" / ")}`);
+
+      // --- 1. Find Section Index (by hash, then by 1-based number) ---
+      let sectionIndex = this.sectionData.findIndex(
+        (data) => data.hash === sectionKey
+      );
+
+      if (sectionIndex === -1 && /^\d+$/.test(sectionKey)) {
+        const sectionNum = parseInt(sectionKey, 10);
+        if (this._isValidSectionIndex(sectionNum - 1)) {
+          sectionIndex = sectionNum - 1;
+        }
+      }
+
+      if (sectionIndex === -1) {
+        this.log(`Section hash '${sectionKey}' not found.`);
+        return null;
+      }
+
+      // --- 2. Find Slide and Sub-slide Indices (if their keys are present) ---
+      const section = this.sectionData[sectionIndex];
+      const slideIndex = slideKey
+        ? this._findIndexByKey(section.slides, slideKey)
+        : 0;
+      const subSlideIndex = subSlideKey
+        ? this._findIndexByKey(
+            section.slides[slideIndex]?.subSlides || [],
+            subSlideKey
+          )
+        : 0;
+
+      return {
+        section: sectionIndex,
+        slide: slideIndex,
+        subSlide: subSlideIndex,
+      };
+    }
+
+    /**
+     * Resolves a slide or sub-slide key from the URL to an index, matching first by hash
+     * and then by number (1-based).
+     * @private
+     * @param {Array<object>} items - The internal data objects of the slides or sub-slides.
+     * @param {string} key - The matching part of the route.
+     * @returns {number} The zero-based index, defaulting to 0 if nothing matched.
+     */
+    _findIndexByKey(items, key) {
+      // a) Try matching by hash (string)
+      let foundIndex = items.findIndex((item) => item.hash === key);
+
+      // b) If hash match failed, try matching by number (1-based index)
+      if (foundIndex === -1) {
+        const num = parseInt(key, 10);
+
+        if (!isNaN(num) && num > 0 && num <= items.length) {
+          // Convert 1-based number (num) to 0-based index
+          foundIndex = num - 1;
+        }
+      }
+
+      // Default to the first item if nothing was matched
+      return foundIndex !== -1 ? foundIndex : 0;
+    }
+
+    /**
+     * Handles URL changes reported by the router (e.g., 'hashchange', or 'popstate' on
+     * browser Back/Forward). Restores the position recorded in the URL without creating a new history entry.
+     * @private
+     */
+    _handleRouteChange() {
+      this.log("Route change detected. Restoring position.");
+      this._parseRoute();
+    }
+
+    /**
+     * Handles the window 'resize' event by re-evaluating the responsive breakpoint.
+     * @private
+     */
+    _onResize() {
+      this._updateMode();
+      this._updateScrollOverflow();
+      this._updatePeek();
+    }
+
+    /**
+     * Indicates whether the instance is in plain-scroll (responsive) mode.
+     * @public
+     * @returns {boolean} True if snapping is suspended in favour of normal document scrolling.
+     */
+    isResponsive() {
+      return this._isResponsive;
+    }
+
+    /**
+     * Checks the viewport against the `responsiveWidth`, `responsiveHeight` and `responsiveQuery` options.
+     * @private
+     * @returns {boolean} True if the instance should use plain-scroll mode.
+     */
+    _matchesResponsiveBreakpoint() {
+      const { responsiveWidth, responsiveHeight, responsiveQuery } = this.opts;
+
+      return (
+        (responsiveWidth > 0 && window.innerWidth < responsiveWidth) ||
+        (responsiveHeight > 0 && window.innerHeight < responsiveHeight) ||
+        Boolean(
+          responsiveQuery &&
+          window.matchMedia &&
+          window.matchMedia(responsiveQuery).matches
+        )
+      );
+    }
+
+    /**
+     * Switches between snap mode and plain-scroll mode when the breakpoint is crossed,
+     * and emits a 'modeChange' event.
+     * @private
+     */
+    _updateMode() {
+      const shouldBeResponsive = this._matchesResponsiveBreakpoint();
+      if (shouldBeResponsive === this._isResponsive) return;
+
+      if (shouldBeResponsive) {
+        this._enterResponsiveMode();
+      } else {
+        this._exitResponsiveMode();
+      }
+
+      // Autoplay would scroll the page under the reader, so it waits for snap mode.
+      this._setAutoplayPause("responsive", shouldBeResponsive);
+
+      this._emit("modeChange", {
+        mode: this._isResponsive ? "scroll" : "snap",
+        responsive: this._isResponsive,
+      });
+    }
+
+    /**
+     * Enters plain-scroll mode: sections are laid out in the page flow, the transform-based
+     * animation classes are removed, input interception is suspended and the pagination
+     * follows the scroll position (scroll-spy).
+     * @private
+     */
+    _enterResponsiveMode() {
+      this.log("Entering plain-scroll (responsive) mode.");
+      this._isResponsive = true;
+
+      // 1. Switch the layout and restore native page scrolling.
+      this.container.classList.add("sr-responsive");
+      document.documentElement.classList.add("sr-responsive-root");
+      this._toggleAnimationClasses(false);
+      this._updateActiveElements();
+
+      // 2. Keep the current section in view and start tracking the scroll position.
+      this.sections[this.currentIndex]?.scrollIntoView({ block: "start" });
+      window.addEventListener("scroll", this._onScrollSpy, { passive: true });
+    }
+
+    /**
+     * Leaves plain-scroll mode and restores snap behaviour at the current section.
+     * @private
+     */
+    _exitResponsiveMode() {
+      this.log("Leaving plain-scroll (responsive) mode.");
+      this._isResponsive = false;
+
+      // 1. Stop tracking the scroll position.
+      window.removeEventListener("scroll", this._onScrollSpy);
+      cancelAnimationFrame(this._scrollSpyFrame);
+      this._scrollSpyFrame = null;
+
+      // 2. Restore the snap layout and the animation classes.
+      this.container.classList.remove("sr-responsive");
+      document.documentElement.classList.remove("sr-responsive-root");
+      this._toggleAnimationClasses(true);
+      window.scrollTo(0, 0);
+      this._updateActiveElements();
+    }
+
+    /**
+     * Adds or removes the animation classes (`sr-anim-*`, `sr-slide-anim-*`) of all sections and slides.
+     * @private
+     * @param {boolean} enabled - True to add the classes; false to remove them.
+     */
+    _toggleAnimationClasses(enabled) {
+      this.sectionData.forEach((section) => {
+        if (section.animClass) {
+          section.el.classList.toggle(section.animClass, enabled);
+        }
+
+        section.slides.forEach((slide) => {
+          if (slide.animClass) {
+            slide.el.classList.toggle(slide.animClass, enabled);
+          }
+        });
+      });
+    }
+
+    /**
+     * Smoothly scrolls the page to a section (plain-scroll mode).
+     * @private
+     * @param {HTMLElement} el - The section element.
+     * @returns {Promise<void>} Resolves on 'scrollend', or after `scrollTimeout` at the latest.
+     */
+    _scrollToSection(el) {
+      return new Promise((resolve) => {
+        const finish = () => {
+          clearTimeout(timer);
+          window.removeEventListener("scrollend", finish);
+          resolve();
+        };
+
+        // The timeout covers browsers without 'scrollend' and scrolls that do not move.
+        const timer = setTimeout(finish, this.opts.scrollTimeout);
+        window.addEventListener("scrollend", finish);
+        el.scrollIntoView({ behavior: "smooth", block: "start" });
+      });
+    }
+
+    /**
+     * Handles the window 'scroll' event in plain-scroll mode (throttled to one check per frame).
+     * Marks the most visible section as active and updates the pagination and URL accordingly.
+     * @private
+     */
+    _onScrollSpy() {
+      if (this._scrollSpyFrame) return;
+
+      this._scrollSpyFrame = requestAnimationFrame(() => {
+        this._scrollSpyFrame = null;
+
+        // Ignore intermediate positions while a programmatic smooth scroll is running.
+        if (this._isAnimating) return;
+
+        const index = this._findMostVisibleSection();
+        if (index === -1 || index === this.currentIndex) return;
+
+        const from = this.currentIndex;
+        const direction = index > from ? "forward" : "backward";
+
+        this.log(`Scroll-spy: Section ${index} is now the most visible.`);
+        this.currentIndex = index;
+        this._updateActiveElements();
+        this._emit(
+          "afterSectionChange",
+          this._getSectionChangeDetail(from, index, direction)
+        );
+        this._resetAutoplay();
+      });
+    }
+
+    /**
+     * Finds the section that occupies the largest part of the viewport.
+     * @private
+     * @returns {number} The index of the most visible section, or -1 if none is visible.
+     */
+    _findMostVisibleSection() {
+      const viewportHeight = window.innerHeight;
+      let bestIndex = -1;
+      let bestVisible = 0;
+
+      this.sections.forEach((el, i) => {
+        const rect = el.getBoundingClientRect();
+        const visible =
+          Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0);
+
+        if (visible > bestVisible) {
+          bestVisible = visible;
+          bestIndex = i;
+        }
+      });
+
+      return bestIndex;
+    }
+
+    /**
+     * Starts (or resumes) autoplay, even if the `autoplay` option is disabled.
+     * Clears pauses caused by hover, focus or user interaction.
+     * @public
+     */
+    play() {
+      this.log("Autoplay: play.");
+      this._autoplay.enabled = true;
+      ["manual", "hover", "focus", "interaction"].forEach((reason) =>
+        this._autoplay.pauseReasons.delete(reason)
+      );
+      clearTimeout(this._autoplay.resumeTimer);
+
+      // Start a fresh countdown if none is pending, otherwise resume the current one.
+      if (this._autoplay.duration === 0 || this._autoplay.remaining <= 0) {
+        this._resetAutoplay();
+      } else {
+        this._runAutoplayTimer();
+      }
+      this._updateAutoplayControls();
+      this._saveState();
+    }
+
+    /**
+     * Pauses autoplay until play() or toggle() is called.
+     * @public
+     */
+    pause() {
+      this.log("Autoplay: pause.");
+      this._setAutoplayPause("manual", true);
+      this._saveState();
+    }
+
+    /**
+     * Toggles autoplay between playing and manually paused.
+     * @public
+     * @returns {boolean} True if autoplay is now playing.
+     */
+    toggle() {
+      if (this.isPlaying()) {
+        this.pause();
+      } else {
+        this.play();
+      }
+      return this.isPlaying();
+    }
+
+    /**
+     * Indicates whether autoplay is enabled and not manually paused. Temporary pauses
+     * (hover, focus, hidden tab, user interaction) do not count as stopped.
+     * @public
+     * @returns {boolean} True if autoplay is playing.
+     */
+    isPlaying() {
+      return (
+        this._autoplay.enabled && !this._autoplay.pauseReasons.has("manual")
+      );
+    }
+
+    /**
+     * Resolves the autoplay delay for the current position: sub-slide, slide or section
+     * `data-sr-autoplay` (when numeric) > `autoplayDelay`. A section with
+     * `data-sr-autoplay="false"` never autoplays; one with 'true' or a delay always does.
+     * @private
+     * @returns {number} The delay in ms, or 0 if autoplay does not apply here.
+     */
+    _getAutoplayDuration() {
+      const section = this.sectionData[this.currentIndex];
+      if (!section) return 0;
+
+      const sectionSetting = section.el.dataset.srAutoplay;
+      const sectionDelay = parseInt(sectionSetting, 10);
+
+      // 1. Decide whether autoplay applies to this section.
+      const isEnabledHere =
+        sectionSetting === undefined
+          ? this._autoplay.enabled
+          : sectionSetting !== "false";
+      if (!isEnabledHere || this._autoplay.pauseReasons.has("manual")) return 0;
+
+      // 2. Resolve the delay, from the most to the least specific setting.
+      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+      const slide = section.slides[slideIndex];
+      const subSlideDelay = parseInt(
+        slide?.subSlides[this._getSubSlideIndex()]?.el.dataset.srAutoplay,
+        10
+      );
+      const slideDelay = parseInt(slide?.el.dataset.srAutoplay, 10);
+
+      if (subSlideDelay > 0) return subSlideDelay;
+      if (slideDelay > 0) return slideDelay;
+      if (sectionDelay > 0) return sectionDelay;
+      return this.opts.autoplayDelay;
+    }
+
+    /**
+     * Restarts the autoplay countdown for the current position.
+     * Called whenever the position changes.
+     * @private
+     */
+    _resetAutoplay() {
+      this._stopAutoplayTimers(false);
+
+      this._autoplay.duration = this._getAutoplayDuration();
+      this._autoplay.remaining = this._autoplay.duration;
+
+      if (
+        this._autoplay.duration > 0 &&
+        this._autoplay.pauseReasons.size === 0
+      ) {
+        this._runAutoplayTimer();
+      } else {
+        this._renderAutoplayProgress(false);
+      }
+      this._updateAutoplayControls();
+    }
+
+    /**
+     * Runs the countdown for the remaining time of the current step.
+     * @private
+     */
+    _runAutoplayTimer() {
+      const state = this._autoplay;
+      if (state.timer || state.remaining <= 0 || state.pauseReasons.size > 0) {
+        return;
+      }
+
+      state.startedAt = performance.now();
+      state.timer = setTimeout(() => this._onAutoplayTick(), state.remaining);
+      this._renderAutoplayProgress(true);
+    }
+
+    /**
+     * Stops the countdown, keeping track of the time left so it can be resumed.
+     * @private
+     * @param {boolean} [keepRemaining=true] - False to discard the remaining time.
+     */
+    _stopAutoplayTimers(keepRemaining = true) {
+      const state = this._autoplay;
+
+      if (state.timer && keepRemaining) {
+        state.remaining -= performance.now() - state.startedAt;
+      }
+      clearTimeout(state.timer);
+      state.timer = null;
+      this._renderAutoplayProgress(false);
+    }
+
+    /**
+     * Advances to the next section or slide when the countdown ends.
+     * @private
+     */
+    _onAutoplayTick() {
+      this._autoplay.timer = null;
+      this._autoplay.remaining = 0;
+      this.log("Autoplay: advancing.");
+
+      this.next().then((moved) => {
+        if (moved) return;
+
+        // At the end of the deck (without loop), or if a listener vetoed the navigation,
+        // autoplay waits here until the position changes.
+        this._autoplay.duration = 0;
+        this._renderAutoplayProgress(false);
+      });
+    }
+
+    /**
+     * Adds or removes a reason for autoplay to be paused, pausing or resuming the countdown.
+     * @private
+     * @param {string} reason - The pause reason ('manual', 'hover', 'focus', 'hidden', 'interaction', 'responsive').
+     * @param {boolean} paused - True to add the reason; false to remove it.
+     */
+    _setAutoplayPause(reason, paused) {
+      const reasons = this._autoplay.pauseReasons;
+      if (reasons.has(reason) === paused) return;
+
+      if (paused) {
+        reasons.add(reason);
+        this._stopAutoplayTimers();
+      } else {
+        reasons.delete(reason);
+        this._runAutoplayTimer();
+      }
+
+      // Manual pauses change the duration itself (a paused deck has no countdown).
+      if (reason === "manual") this._resetAutoplay();
+      this._updateAutoplayControls();
+    }
+
+    /**
+     * Pauses autoplay after a user interaction and resumes it after `autoplayResumeDelay`.
+     * @private
+     */
+    _onUserInteraction() {
+      if (!this._autoplay.duration) return;
+
+      this._setAutoplayPause("interaction", true);
+      clearTimeout(this._autoplay.resumeTimer);
+      this._autoplay.resumeTimer = setTimeout(
+        () => this._setAutoplayPause("interaction", false),
+        this.opts.autoplayResumeDelay
+      );
+    }
+
+    /**
+     * Tracks the pointer over the container and pauses autoplay while it is there.
+     * @private
+     * @param {boolean} isHovered - True when the pointer entered the container.
+     */
+    _onHoverChange(isHovered) {
+      this._isHovered = isHovered; // Also used to route keyboard input between instances
+      if (!this.opts.autoplayPauseOnHover) return;
+      this._setAutoplayPause("hover", isHovered);
+    }
+
+    /**
+     * Pauses autoplay while an element inside the container has focus.
+     * Focus moving to the autoplay button itself does not count.
+     * @private
+     */
+    _onFocusChange() {
+      if (!this.opts.autoplayPauseOnFocus) return;
+
+      // Read the focus after it has settled (focusout fires before the next element is focused).
+      clearTimeout(this._autoplay.focusTimer);
+      this._autoplay.focusTimer = setTimeout(() => {
+        const active = document.activeElement;
+        const hasFocus =
+          this.container.contains(active) && active !== this.autoplayButton;
+        this._setAutoplayPause("focus", hasFocus);
+      });
+    }
+
+    /**
+     * Pauses autoplay while the page is hidden (Page Visibility API).
+     * @private
+     */
+    _onVisibilityChange() {
+      this._setAutoplayPause("hidden", document.visibilityState === "hidden");
+    }
+
+    /**
+     * Creates the autoplay play/pause button and progress bar, if enabled.
+     * This method is idempotent: existing controls are reused.
+     * @private
+     */
+    _createAutoplayControls() {
+      if (this.opts.autoplayControls && !this.autoplayButton) {
+        this.autoplayButton = this._createEl("button", {
+          className: "sr-autoplay-toggle",
+          type: "button",
+        });
+        this.autoplayButton.addEventListener("click", () => this.toggle());
+        this.container.appendChild(this.autoplayButton);
+      }
+
+      if (this.opts.autoplayProgress && !this.autoplayProgress) {
+        this.autoplayProgress = this._createEl(
+          "div",
+          { className: "sr-autoplay-progress", "aria-hidden": "true" },
+          [this._createEl("span", { className: "sr-autoplay-progress-bar" })]
+        );
+        this.container.appendChild(this.autoplayProgress);
+      }
+
+      this._updateAutoplayControls();
+    }
+
+    /**
+     * Syncs the play/pause button (label, pressed state) with the autoplay state.
+     * @private
+     */
+    _updateAutoplayControls() {
+      if (!this.autoplayButton) return;
+
+      const playing = this.isPlaying();
+      this.autoplayButton.classList.toggle("sr-autoplay-playing", playing);
+      this.autoplayButton.setAttribute(
+        "aria-label",
+        formatLabel(
+          playing
+            ? this.opts.labels.pauseAutoplay
+            : this.opts.labels.playAutoplay,
+          {}
+        )
+      );
+    }
+
+    /**
+     * Animates the progress bar over the remaining time of the current step, or freezes it.
+     * The bar fills from left to right, so its empty part reflects the time left.
+     * @private
+     * @param {boolean} running - True to animate towards the end; false to freeze at the current position.
+     */
+    _renderAutoplayProgress(running) {
+      const bar = this.autoplayProgress?.firstElementChild;
+      if (!bar) return;
+
+      const { duration, remaining } = this._autoplay;
+      const elapsed = duration > 0 ? 1 - Math.max(remaining, 0) / duration : 0;
+
+      // 1. Jump to the elapsed position without animating.
+      bar.style.transition = "none";
+      bar.style.transform = `scaleX(${elapsed})`;
+      this.autoplayProgress.classList.toggle(
+        "sr-autoplay-progress-hidden",
+        duration === 0
+      );
+
+      if (!running) return;
+
+      // 2. Force a reflow, then animate linearly over the remaining time.
+      void bar.offsetWidth;
+      bar.style.transition = `transform ${remaining}ms linear`;
+      bar.style.transform = "scaleX(1)";
+    }
+
+    /**
+     * Creates the counter and the progress bar, if enabled.
+     * This method is idempotent: existing elements are reused.
+     * @private
+     */
+    _createProgressControls() {
+      if (this.opts.counter && !this.counter) {
+        this.counter = this._createEl("div", { className: "sr-counter" });
+        this.container.appendChild(this.counter);
+      }
+
+      if (this.opts.progressBar && !this.progressBar) {
+        this.progressBar = this._createEl(
+          "div",
+          { className: "sr-progress", "aria-hidden": "true" },
+          [this._createEl("span", { className: "sr-progress-bar" })]
+        );
+        this.container.appendChild(this.progressBar);
+      }
+    }
+
+    /**
+     * Syncs the counter text and the progress bar with the position in the whole deck.
+     * The progress (0 to 1) is exposed to CSS as `--sr-progress` on the container.
+     * @private
+     */
+    _updateProgress() {
+      if (!this.counter && !this.progressBar) return;
+
+      const progress = this.getProgress();
+      this.container.style.setProperty("--sr-progress", progress.ratio);
+
+      if (!this.counter) return;
+
+      const { section, slide, subSlide } = this.getPosition();
+      this.counter.textContent = formatLabel(this.opts.counterFormat, {
+        current: progress.current,
+        total: progress.total,
+        percent: Math.round(progress.ratio * 100),
+        section: section + 1,
+        sections: this.sectionData.length,
+        slide: slide + 1,
+        slides: Math.max(1, this.sectionData[section]?.slides.length ?? 0),
+        subSlide: subSlide + 1,
+      });
+    }
+
+    /**
+     * Shows or hides the overview: the container is zoomed out into a grid where sections
+     * are rows and their slides are columns. Not available in plain-scroll (responsive) mode.
+     * @public
+     * @param {boolean} [force] - True to show, false to hide; toggles when omitted.
+     * @returns {boolean} True if the overview is now shown.
+     */
+    toggleOverview(force) {
+      const shouldShow = force ?? !this._isOverview;
+      if (shouldShow === this._isOverview) return this._isOverview;
+
+      if (shouldShow && this._isResponsive) {
+        this.log("Overview unavailable in plain-scroll mode.");
+        return false;
+      }
+
+      this._isOverview = shouldShow;
+      this._overviewCursor = {
+        section: this.currentIndex,
+        slide: this.currentSlideIndices[this.currentIndex] ?? 0,
+      };
+
+      this.log(`Overview ${shouldShow ? "shown" : "hidden"}.`);
+      this._layoutOverview(shouldShow);
+      this._setAutoplayPause("overview", shouldShow);
+      this._emit(shouldShow ? "overviewEnter" : "overviewLeave", {
+        section: this.currentIndex,
+        slide: this.currentSlideIndices[this.currentIndex] ?? 0,
+      });
+      this._saveState();
+
+      return this._isOverview;
+    }
+
+    /**
+     * Indicates whether the overview grid is shown.
+     * @public
+     * @returns {boolean} True if the overview is shown.
+     */
+    isOverview() {
+      return this._isOverview;
+    }
+
+    /**
+     * Places (or releases) every section and slide in the overview grid. Positions are
+     * exposed as CSS custom properties (`--sr-overview-row`, `--sr-overview-col`,
+     * `--sr-overview-scale`), so the transforms live in the stylesheet and transition
+     * like the regular animation classes, which are kept untouched underneath.
+     * @private
+     * @param {boolean} enabled - True to lay out the grid; false to restore the regular layout.
+     */
+    _layoutOverview(enabled) {
+      const { style } = this.container;
+      this.container.classList.toggle("sr-overview", enabled);
+
+      // 1. Scale the grid so that every row and column fits (with a 10% gap between tiles).
+      const rows = this.sectionData.length;
+      const columns = Math.max(
+        1,
+        ...this.sectionData.map((s) => s.slides.length)
+      );
+
+      if (enabled) {
+        style.setProperty(
+          "--sr-overview-scale",
+          1 / (Math.max(rows, columns) * 1.1)
+        );
+      } else {
+        style.removeProperty("--sr-overview-scale");
+      }
+
+      // 2. Position sections as rows and their slides as columns.
+      this.sectionData.forEach((section) => {
+        if (enabled) {
+          section.el.style.setProperty("--sr-overview-row", section.index);
+        } else {
+          section.el.style.removeProperty("--sr-overview-row");
+        }
+
+        section.slides.forEach((slide) => {
+          if (enabled) {
+            slide.el.style.setProperty("--sr-overview-col", slide.index);
+          } else {
+            slide.el.style.removeProperty("--sr-overview-col");
+          }
+        });
+      });
+
+      this._updateOverviewTiles();
+    }
+
+    /**
+     * Returns the element representing a position in the overview grid: the slide,
+     * or the section itself if it has no slides.
+     * @private
+     * @param {number} sectionIndex - The section index.
+     * @param {number} slideIndex - The slide index.
+     * @returns {HTMLElement|null} The tile element.
+     */
+    _getOverviewTile(sectionIndex, slideIndex) {
+      const section = this.sectionData[sectionIndex];
+      if (!section) return null;
+      return section.slides[slideIndex]?.el ?? section.el;
+    }
+
+    /**
+     * Highlights the current position and the selection cursor in the overview grid.
+     * @private
+     */
+    _updateOverviewTiles() {
+      this.container
+        .querySelectorAll(".sr-overview-current, .sr-overview-selected")
+        .forEach((el) =>
+          el.classList.remove("sr-overview-current", "sr-overview-selected")
+        );
+
+      if (!this._isOverview) return;
+
+      this._getOverviewTile(
+        this.currentIndex,
+        this.currentSlideIndices[this.currentIndex] ?? 0
+      )?.classList.add("sr-overview-current");
+
+      const { section, slide } = this._overviewCursor;
+      this._getOverviewTile(section, slide)?.classList.add(
+        "sr-overview-selected"
+      );
+    }
+
+    /**
+     * Handles keys while the overview is shown: arrow keys move the selection cursor
+     * (up/down between sections, left/right between slides), Enter navigates to it and
+     * Escape closes the overview.
+     * @private
+     * @param {KeyboardEvent} e - The keyboard event object.
+     */
+    _onOverviewKeyDown(e) {
+      const { section, slide } = this._overviewCursor;
+      const moves = {
+        ArrowUp: [section - 1, slide],
+        ArrowDown: [section + 1, slide],
+        ArrowLeft: [section, slide - 1],
+        ArrowRight: [section, slide + 1],
+      };
+
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this._selectOverviewTile(section, slide);
+        return;
+      }
+
+      if (e.key === "Escape") {
+        e.preventDefault();
+        this.toggleOverview(false);
+        return;
+      }
+
+      const move = moves[e.key];
+      if (!move) return;
+      e.preventDefault();
+
+      // Clamp the cursor to the grid; rows may have different numbers of columns.
+      const nextSection = Math.min(
+        Math.max(move[0], 0),
+        this.sectionData.length - 1
+      );
+      const columns = Math.max(
+        this.sectionData[nextSection]?.slides.length ?? 0,
+        1
+      );
+      const nextSlide = Math.min(Math.max(move[1], 0), columns - 1);
+
+      this._overviewCursor = { section: nextSection, slide: nextSlide };
+      this._updateOverviewTiles();
+    }
+
+    /**
+     * Navigates to the tile clicked in the overview grid.
+     * @private
+     * @param {MouseEvent} e - The click event object.
+     */
+    _onOverviewClick(e) {
+      if (!this._isOverview) return;
+
+      const section = this.sectionData.find((s) => s.el.contains(e.target));
+      if (!section) return;
+
+      // Tiles are previews: links and buttons inside them must not react.
+      e.preventDefault();
+      const slide = section.slides.find((s) => s.el.contains(e.target));
+      this._selectOverviewTile(section.index, slide?.index ?? 0);
+    }
+
+    /**
+     * Leaves the overview and navigates to the given position (keeping the slide's
+     * sub-slide) in a single transition through goTo(), so the usual hooks and events apply.
+     * @private
+     * @param {number} sectionIndex - The target section index.
+     * @param {number} slideIndex - The target slide index.
+     * @returns {Promise<boolean>} Resolves once the navigation has finished.
+     */
+    _selectOverviewTile(sectionIndex, slideIndex) {
+      this.log(
+        `Overview: selected section ${sectionIndex}, slide ${slideIndex}.`
+      );
+      this.toggleOverview(false);
+
+      return this.goTo(
+        sectionIndex,
+        slideIndex,
+        this._getSubSlideIndex(sectionIndex, slideIndex)
+      );
+    }
+
+    /**
+     * Checks if a given DOM element is an editable input field (e.g., input, textarea, or contenteditable).
+     * This prevents navigation events (like keydown) from firing when the user is typing.
+     * @private
+     * @param {HTMLElement|null} target - The DOM element to check.
+     * @returns {boolean} True if the element is editable; otherwise, false.
+     */
+    _isEditableTarget(target) {
+      // Use a null check for robustness.
+      if (!target) return false;
+
+      // Prioritize checking the `isContentEditable` property.
+      if (target.isContentEditable) return true;
+
+      // Check against a predefined set of tags (EDITABLE_TAGS).
+      // Tag names must be converted to uppercase for consistent comparison.
+      return EDITABLE_TAGS.has(target.tagName);
+    }
+
+    /**
+     * Checks if the event originated from within a scrollable child element.
+     * This is crucial for preventing unwanted section/slide transitions when
+     * the user is scrolling content inside a nested element (e.g., a modal or a div with overflow).
+     * @private
+     * @param {HTMLElement|null} target - The starting DOM element (where the event originated).
+     * @param {number} deltaY - The direction of the scroll (positive for down, negative for up).
+     * @returns {boolean} True if a scrollable ancestor is found and is not at its scroll limit; otherwise, false.
+     */
+    _hasScrollableAncestor(target, deltaY) {
+      let el = target;
+
+      // Traverse up the DOM tree until the SnapRoll container is reached.
       while (el && el !== this.container) {
         const style = window.getComputedStyle(el);
         const hasScrollbar =
           style.overflowY === "auto" || style.overflowY === "scroll";
 
-        if (hasScrollbar) {
-          // Calculate scroll limits
-          const isAtTop = el.scrollTop <= 0;
-          // Use tolerance of 1px for bottom calculation due to floating point inaccuracies
-          const isAtBottom =
-            el.scrollHeight - el.scrollTop - el.clientHeight <= 1;
+        if (hasScrollbar) {
+          // Calculate scroll limits
+          const isAtTop = el.scrollTop <= 0;
+          // Use tolerance of 1px for bottom calculation due to floating point inaccuracies
+          const isAtBottom =
+            el.scrollHeight - el.scrollTop - el.clientHeight <= 1;
+
+          // Determine if there is still room to scroll in the current direction (deltaY)
+          const canScrollDown = deltaY > 0 && !isAtBottom;
+          const canScrollUp = deltaY < 0 && !isAtTop;
+
+          if (canScrollDown || canScrollUp) {
+            this.log(
+              "Ignoring scroll event: Found active scrollable ancestor.",
+              el
+            );
+            return true;
+          }
+        }
+        el = el.parentElement;
+      }
+
+      return false;
+    }
+
+    /**
+     * Lists the views that can get a managed scroll area (full-height sections without slides,
+     * slides without sub-slides, and sub-slides), with their `data-sr-scroll-overflow` setting,
+     * inherited from the enclosing slide or section.
+     * @private
+     * @returns {Array<{el: HTMLElement, setting: (string|undefined)}>} The views.
+     */
+    _getScrollViews() {
+      const views = [];
+
+      this.sectionData.forEach((section) => {
+        const sectionSetting = section.el.dataset.srScrollOverflow;
+        // Auto-height sections are capped at the viewport height and scroll natively.
+        if (!section.slides.length && !section.autoHeight) {
+          views.push({ el: section.el, setting: sectionSetting });
+        }
+
+        section.slides.forEach((slide) => {
+          const slideSetting =
+            slide.el.dataset.srScrollOverflow ?? sectionSetting;
+          if (!slide.subSlides.length)
+            views.push({ el: slide.el, setting: slideSetting });
+
+          slide.subSlides.forEach((subSlide) =>
+            views.push({
+              el: subSlide.el,
+              setting: subSlide.el.dataset.srScrollOverflow ?? slideSetting,
+            })
+          );
+        });
+      });
+
+      return views;
+    }
+
+    /**
+     * Wraps the content of overflowing views in a managed scroll area (`.sr-scroll`), and
+     * unwraps views that are disabled or whose content fits again. Sections that overflow
+     * without a scroll area are marked `sr-overflow`, so that touch pans scroll them natively.
+     * Runs on refresh and resize.
+     * @private
+     * @param {boolean} [enabled=true] - False to unwrap every view (used on destroy).
+     */
+    _updateScrollOverflow(enabled = true) {
+      // Sizes cannot be measured in plain-scroll mode, where the areas are neutralized by CSS.
+      if (enabled && this._isResponsive) return;
+
+      this._getScrollViews().forEach(({ el, setting }) => {
+        const isEnabled =
+          enabled &&
+          (setting === undefined
+            ? this.opts.scrollOverflow
+            : setting !== "false");
+        let area = el.querySelector(":scope > .sr-scroll");
+
+        if (area && (!isEnabled || area.scrollHeight <= area.clientHeight)) {
+          area.replaceWith(...area.childNodes);
+          area = null;
+        } else if (
+          !area &&
+          isEnabled &&
+          el.scrollHeight > el.clientHeight + 1
+        ) {
+          area = this._createEl(
+            "div",
+            { className: "sr-scroll" },
+            Array.from(el.childNodes)
+          );
+          el.append(area);
+        }
+
+        el.classList.toggle("sr-scrollable", Boolean(area));
+      });
+
+      this.sectionData.forEach(({ el }) =>
+        el.classList.toggle(
+          "sr-overflow",
+          enabled &&
+            !el.classList.contains("sr-scrollable") &&
+            el.scrollHeight > el.clientHeight + 1
+        )
+      );
+    }
+
+    /**
+     * Returns the managed scroll area of the current section, slide or sub-slide, if any.
+     * @private
+     * @returns {HTMLElement|null} The scroll area.
+     */
+    _getCurrentScrollArea() {
+      const section = this.sectionData[this.currentIndex];
+      if (!section) return null;
+
+      const slide =
+        section.slides[this.currentSlideIndices[this.currentIndex] ?? 0];
+      const view =
+        slide?.subSlides[this._getSubSlideIndex()]?.el ??
+        slide?.el ??
+        section.el;
+
+      return view.querySelector(":scope > .sr-scroll");
+    }
+
+    /**
+     * Scrolls the managed scroll area of the current view for the vertical key actions
+     * (next, prev, nextSection, prevSection), unless it already reached the edge in that direction.
+     * @private
+     * @param {Function} action - The action bound to the key.
+     * @param {string} combo - The normalized key combination.
+     * @returns {boolean} True if the key scrolled the area instead of navigating.
+     */
+    _scrollByKey(action, combo) {
+      const forward = [KEY_ACTIONS.next, KEY_ACTIONS.nextSection];
+      const backward = [KEY_ACTIONS.prev, KEY_ACTIONS.prevSection];
+      const direction = forward.includes(action)
+        ? 1
+        : backward.includes(action)
+          ? -1
+          : 0;
+
+      const area = direction ? this._getCurrentScrollArea() : null;
+      if (!area || !this._hasScrollableAncestor(area, direction)) return false;
+
+      const step = SCROLL_PAGE_KEYS.has(combo)
+        ? area.clientHeight * 0.9
+        : SCROLL_KEY_STEP;
+      area.scrollBy({ top: direction * step, behavior: "smooth" });
+      return true;
+    }
+
+    /**
+     * Handles the 'keydown' event for keyboard navigation.
+     * Prevents navigation if the user is typing in an editable field. Keys pressed during a
+     * transition are handled according to the `navigationQueue` option.
+     * @private
+     * @param {KeyboardEvent} e - The keyboard event object.
+     */
+    _onKeyDown(e) {
+      // Exit immediately if in plain-scroll mode or interacting with an input/editable field.
+      if (this._isResponsive || this._isEditableTarget(e.target)) return;
+
+      // Keys are handled by one instance only (see keyboardScope), and are ignored inside
+      // sections (or elements) marked with data-sr-keyboard="false".
+      if (
+        !this._ownsKeyboard(e.target) ||
+        this._isKeyboardDisabledFor(e.target)
+      ) {
+        return;
+      }
+
+      // A Shift combination without a binding of its own runs the key's binding
+      // (e.g., Shift+ArrowDown acts like ArrowDown unless it is bound itself).
+      let combo = keyComboFromEvent(e);
+      if (e.shiftKey && !this._keymap.has(combo))
+        combo = keyComboFromEvent(e, false);
+      const action = this._keymap.get(combo);
+
+      // While the overview is shown, keys drive its selection cursor (only 'overview' closes it).
+      if (this._isOverview && action !== KEY_ACTIONS.overview) {
+        this._onOverviewKeyDown(e);
+        return;
+      }
+
+      if (action) {
+        e.preventDefault();
+        this._onUserInteraction();
+
+        // In a managed scroll area, vertical keys scroll until its edge is reached.
+        if (this._scrollByKey(action, combo)) return;
+
+        this.log(`Keyboard key pressed: ${combo}. Running its action.`);
+        action(this, e);
+      }
+    }
+
+    /**
+     * Binds a key combination to an action, replacing any existing binding.
+     * @public
+     * @param {string} combo - The key combination (e.g., 'ArrowRight', 'Shift+Space', 'Ctrl+Alt+n').
+     * @param {string|Function|null} action - A built-in action name, a function receiving the
+     * instance and the keyboard event, or null/false to unbind the combination.
+     * @returns {SnapRoll} The instance, for chaining.
+     */
+    bindKey(combo, action) {
+      if (!action) return this.unbindKey(combo);
+
+      const handler =
+        typeof action === "function" ? action : KEY_ACTIONS[action];
+      if (!handler) {
+        console.warn(
+          `[SnapRoll] Config warning: Unknown key action '${action}' for '${combo}'. Expected one of: ${Object.keys(KEY_ACTIONS).join(", ")}, or a function.`
+        );
+        return this;
+      }
+
+      this._keymap.set(normalizeKeyCombo(combo), handler);
+      return this;
+    }
+
+    /**
+     * Removes the binding of a key combination.
+     * @public
+     * @param {string} combo - The key combination (e.g., 'Space').
+     * @returns {SnapRoll} The instance, for chaining.
+     */
+    unbindKey(combo) {
+      this._keymap.delete(normalizeKeyCombo(combo));
+      return this;
+    }
+
+    /**
+     * Decides whether this instance handles a key press, according to `keyboardScope`.
+     * With 'window', the instance containing the focus wins, then the hovered one, then
+     * the most visible one; a single instance always handles its keys.
+     * @private
+     * @param {EventTarget} target - The keyboard event target.
+     * @returns {boolean} True if this instance should handle the key.
+     */
+    _ownsKeyboard(target) {
+      const containsTarget = (instance) =>
+        target instanceof Node && instance.container.contains(target);
+
+      if (this.opts.keyboardScope === "container") return containsTarget(this);
+
+      // Instances competing for page-wide keys.
+      const candidates = Array.from(INSTANCES).filter(
+        (instance) =>
+          instance.opts.keyboard && instance.opts.keyboardScope !== "container"
+      );
+
+      if (this.opts.keyboardScope === "visible") {
+        return findMostVisibleInstance(candidates) === this;
+      }
+
+      if (candidates.length < 2) return true;
+
+      // The innermost instance containing the focus wins (decks may be nested).
+      const focused = candidates
+        .filter(containsTarget)
+        .reduce(
+          (inner, instance) =>
+            !inner || inner.container.contains(instance.container)
+              ? instance
+              : inner,
+          null
+        );
+
+      const owner =
+        focused ||
+        candidates.find((instance) => instance._isHovered) ||
+        findMostVisibleInstance(candidates);
+      return owner === this;
+    }
+
+    /**
+     * Adds the instance to the page registry. Warns if another instance already writes
+     * the same part of the URL, and makes the container focusable for keyboardScope 'container'.
+     * @private
+     */
+    _register() {
+      const writesUrl = (instance) =>
+        instance.opts.history !== "none" &&
+        typeof instance.opts.router === "string";
+      const sharesUrl = Array.from(INSTANCES).some(
+        (other) =>
+          other !== this &&
+          writesUrl(other) &&
+          writesUrl(this) &&
+          other.opts.router === this.opts.router &&
+          other.opts.namespace === this.opts.namespace &&
+          other.opts.hashPrefix === this.opts.hashPrefix
+      );
+
+      if (sharesUrl) {
+        console.warn(
+          `[SnapRoll] Config warning: Several instances write the same URL. Give each one its own 'namespace' (or set 'history' to 'none').`
+        );
+      }
+      INSTANCES.add(this);
+
+      if (
+        this.opts.keyboardScope === "container" &&
+        !this.container.hasAttribute("tabindex")
+      ) {
+        this.container.setAttribute("tabindex", "0");
+        this._addedTabindex = true;
+      }
+    }
+
+    /**
+     * Removes the instance from the page registry and undoes the changes of _register().
+     * @private
+     */
+    _unregister() {
+      INSTANCES.delete(this);
+
+      if (this._addedTabindex) {
+        this.container.removeAttribute("tabindex");
+        this._addedTabindex = false;
+      }
+    }
+
+    /**
+     * Checks whether keyboard navigation is disabled where the key was pressed: inside an
+     * element marked with `data-sr-keyboard="false"`, or, when focus is outside the deck,
+     * in the current section.
+     * @private
+     * @param {EventTarget} target - The keyboard event target.
+     * @returns {boolean} True if the key must be ignored.
+     */
+    _isKeyboardDisabledFor(target) {
+      const origin =
+        target instanceof Node && this.container.contains(target)
+          ? target
+          : this.sections[this.currentIndex];
+      const scope = origin?.closest?.("[data-sr-keyboard]");
+
+      return (
+        Boolean(scope) &&
+        this.container.contains(scope) &&
+        scope.dataset.srKeyboard === "false"
+      );
+    }
+
+    /**
+     * Handles the 'wheel' event for scroll navigation. Each wheel gesture triggers a single
+     * transition once its accumulated distance reaches `wheelDeltaThreshold`: vertical
+     * gestures call next()/prev(), horizontal ones (e.g., two-finger trackpad swipes)
+     * nextSlide()/prevSlide() when the current section has slides.
+     * @private
+     * @param {WheelEvent} e - The wheel event object.
+     */
+    _onWheel(e) {
+      // 1. Exit in plain-scroll mode or in the overview grid.
+      if (this._isResponsive || this._isOverview) return;
+
+      // 2. Resolve the dominant axis of the (normalized) movement.
+      const delta = this._normalizeWheelDelta(e);
+      const axis = Math.abs(delta.x) > Math.abs(delta.y) ? "x" : "y";
+      const value = delta[axis];
+      if (!value) return;
+
+      // Horizontal movement only navigates slides; otherwise it is left to the browser
+      // (e.g., for the Back/Forward swipe). Vertical movement inside a child element that
+      // can still scroll is left to that element.
+      if (
+        axis === "x" &&
+        !(this.sectionData[this.currentIndex]?.slides.length > 1)
+      ) {
+        return;
+      }
+      const isNestedScroll =
+        axis === "y" && this._hasScrollableAncestor(e.target, value);
+
+      // Prevent default page scroll behavior.
+      if (!isNestedScroll) e.preventDefault();
+
+      // 3. Track the gesture. Trackpad inertia keeps firing events after the fingers are
+      // lifted, so a new gesture is recognized by a pause, a change of direction or a new
+      // acceleration rather than by silence alone.
+      const wheel = this._wheel;
+      const magnitude = Math.abs(value);
+
+      if (this._isNewWheelGesture(axis, value, e.timeStamp)) {
+        Object.assign(wheel, {
+          axis,
+          direction: Math.sign(value),
+          travel: 0,
+          samples: [],
+          peak: 0,
+          isSpent: false,
+        });
+      }
+
+      wheel.lastTime = e.timeStamp;
+      wheel.travel += magnitude;
+      wheel.peak = Math.max(wheel.peak, magnitude);
+      wheel.samples.push(magnitude);
+      if (wheel.samples.length > WHEEL_SAMPLES) wheel.samples.shift();
+
+      // A gesture that scrolled a nested element does not navigate when that element reaches
+      // its edge (e.g., through inertia); the next gesture does.
+      if (isNestedScroll) wheel.isSpent = true;
+
+      // 4. Navigate once per gesture, after enough travel and outside of a transition.
+      if (
+        wheel.isSpent ||
+        this._isAnimating ||
+        wheel.travel < this.opts.wheelDeltaThreshold
+      ) {
+        return;
+      }
+
+      wheel.isSpent = true;
+      this._onUserInteraction();
+      this.log(
+        `Wheel gesture detected (${axis}: ${value}). Triggering navigation.`
+      );
+
+      if (axis === "x") {
+        value > 0 ? this.nextSlide() : this.prevSlide();
+      } else {
+        value > 0 ? this.next() : this.prev();
+      }
+    }
+
+    /**
+     * Converts the deltas of a wheel event to pixels (for `deltaMode` line and page units)
+     * and applies `wheelSensitivity`.
+     * @private
+     * @param {WheelEvent} e - The wheel event object.
+     * @returns {{x: number, y: number}} The horizontal and vertical deltas in pixels.
+     */
+    _normalizeWheelDelta(e) {
+      const width = this.container.clientWidth || window.innerWidth;
+      const height = this.container.clientHeight || window.innerHeight;
+
+      // deltaMode: 0 = pixels, 1 = lines, 2 = pages.
+      const unit = (pageSize) =>
+        e.deltaMode === 1
+          ? WHEEL_LINE_HEIGHT
+          : e.deltaMode === 2
+            ? pageSize
+            : 1;
+
+      return {
+        x: e.deltaX * unit(width) * this.opts.wheelSensitivity,
+        y: e.deltaY * unit(height) * this.opts.wheelSensitivity,
+      };
+    }
+
+    /**
+     * Decides whether a wheel event starts a new gesture: after a pause longer than
+     * `wheelGestureEndDelay`, on a change of axis or direction, or when the deltas grow
+     * again after the current gesture started fading out, by a delta that reaches
+     * `wheelDeltaThreshold` on its own (so jitter in an inertia tail is not a new gesture).
+     * @private
+     * @param {'x'|'y'} axis - The dominant axis of the event.
+     * @param {number} value - The normalized delta on that axis.
+     * @param {number} time - The event timestamp.
+     * @returns {boolean} True if the event starts a new gesture.
+     */
+    _isNewWheelGesture(axis, value, time) {
+      const wheel = this._wheel;
+
+      if (time - wheel.lastTime > this.opts.wheelGestureEndDelay) return true;
+      if (axis !== wheel.axis || Math.sign(value) !== wheel.direction)
+        return true;
+      if (wheel.samples.length < WHEEL_SAMPLES) return false;
+
+      // The gesture is fading out once all its recent deltas dropped well below its peak
+      // (while it is still speeding up, the peak is among them).
+      const average =
+        wheel.samples.reduce((sum, sample) => sum + sample, 0) /
+        wheel.samples.length;
+      const isFading =
+        Math.max(...wheel.samples) * WHEEL_ACCELERATION < wheel.peak;
+
+      return (
+        isFading &&
+        Math.abs(value) > average * WHEEL_ACCELERATION &&
+        Math.abs(value) >= this.opts.wheelDeltaThreshold
+      );
+    }
+
+    /**
+     * Captures the starting coordinates of the first touch point.
+     * This is the beginning of a potential swipe gesture.
+     * @private
+     * @param {TouchEvent} e - The touch event object.
+     */
+    _onTouchStart(e) {
+      // A new touch gesture starts; the drag engine claims it once the drag locks onto an axis.
+      this._isDragTouch = false;
+
+      // Only register the start point if no animation is running and snapping is active.
+      if (this._isAnimating || this._isResponsive || this._isOverview) return;
+
+      // A second finger makes the gesture a pinch (left to the browser to zoom), not a swipe.
+      if (e.touches?.length > 1) {
+        this._touchStart = { x: null, y: null };
+        return;
+      }
+
+      // Ensure touches array exists and has at least one entry.
+      if (e.touches && e.touches.length > 0) {
+        // Remember the managed scroll area under the finger, to tell scrolling from swiping.
+        const scrollArea = e.target.closest?.(".sr-scroll") ?? null;
+        this._touchStart = {
+          x: e.touches[0].clientX,
+          y: e.touches[0].clientY,
+          scrollArea,
+          scrollTop: scrollArea?.scrollTop ?? 0,
+        };
+      }
+    }
+
+    /**
+     * Calculates the direction and magnitude of the swipe gesture upon touch release.
+     * Triggers section navigation (vertical swipe) or slide navigation (horizontal swipe).
+     * Used when the drag engine is disabled or did not handle the gesture (e.g., the browser
+     * took it over to scroll a nested element).
+     * @private
+     * @param {TouchEvent} e - The touch event object.
+     */
+    _onTouchEnd(e) {
+      // Exit if animating, if the drag engine already handled the gesture, or if a start point
+      // was never registered (e.g., failed capture or multi-touch issue).
+      if (
+        this._isAnimating ||
+        this._isDragTouch ||
+        this._touchStart.x === null
+      ) {
+        return;
+      }
+
+      // 1. Calculate the distance and direction of the swipe.
+      const endX = e.changedTouches[0].clientX;
+      const endY = e.changedTouches[0].clientY;
+
+      const delta = {
+        x: this._touchStart.x - endX, // Positive X = swipe left (next slide)
+        y: this._touchStart.y - endY, // Positive Y = swipe up (next section)
+      };
+      const { scrollArea, scrollTop } = this._touchStart;
+
+      // Reset the starting coordinates to null immediately after calculation.
+      this._touchStart = { x: null, y: null };
+
+      // A swipe that scrolled a managed scroll area does not navigate, even if it reached the edge.
+      if (scrollArea && scrollArea.scrollTop !== scrollTop) return;
+
+      const absDeltaX = Math.abs(delta.x);
+      const absDeltaY = Math.abs(delta.y);
+
+      // 2. Determine Dominant Direction (Vertical vs. Horizontal)
+      if (absDeltaY > absDeltaX) {
+        // --- Vertical Swipe (Section/Global Navigation) ---
+
+        if (
+          absDeltaY > this.opts.touchThreshold &&
+          !this._hasScrollableAncestor(e.target, delta.y)
+        ) {
+          this.log(
+            `Vertical swipe detected (DeltaY: ${delta.y}). Navigating section.`
+          );
+          delta.y > 0 ? this.next() : this.prev();
+        }
+      } else {
+        // --- Horizontal Swipe (Slide Navigation) ---
+
+        // Check if the current section has more than one slide to justify horizontal navigation.
+        const currentSectionHasSlides =
+          this.sectionData[this.currentIndex]?.slides.length > 1;
+
+        if (absDeltaX > this.opts.touchThreshold && currentSectionHasSlides) {
+          this.log(
+            `Horizontal swipe detected (DeltaX: ${delta.x}). Navigating slide.`
+          );
+          delta.x > 0 ? this.nextSlide() : this.prevSlide();
+        }
+      }
+    }
+
+    /**
+     * Starts tracking a pointer drag. Touch and pen drags are tracked while `drag` is enabled,
+     * mouse drags only with `mouseDrag`. Drags starting on form controls, `[data-sr-no-drag]`
+     * elements or, for the mouse, selectable text are left to the browser.
+     * @private
+     * @param {PointerEvent} e - The pointer event object.
+     */
+    _onPointerDown(e) {
+      // A second pointer turns the drag into a pinch-zoom, which the browser handles.
+      if (this._drag && !e.isPrimary) {
+        this._endDrag();
+        return;
+      }
+
+      if (
+        !this.opts.drag ||
+        this._drag ||
+        !e.isPrimary ||
+        this._isAnimating ||
+        this._isResponsive ||
+        this._isOverview
+      ) {
+        return;
+      }
+
+      const isMouse = e.pointerType === "mouse";
+      if (isMouse && (!this.opts.mouseDrag || e.button !== 0)) return;
+      if (e.target.closest?.(DRAG_IGNORE_SELECTOR)) return;
+      if (isMouse && this._isSelectableText(e.target)) return;
+
+      this._drag = {
+        pointerId: e.pointerId,
+        isMouse,
+        target: e.target,
+        start: { x: e.clientX, y: e.clientY },
+        samples: [{ time: e.timeStamp, x: e.clientX, y: e.clientY }],
+        track: null, // The items following the pointer, set once the drag locks onto an axis
+      };
+    }
+
+    /**
+     * Locks the drag onto an axis once the pointer has moved far enough, then moves the
+     * current item (and the one coming in) with the pointer.
+     * @private
+     * @param {PointerEvent} e - The pointer event object.
+     */
+    _onPointerMove(e) {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.pointerId) return;
+
+      const delta = {
+        x: e.clientX - drag.start.x,
+        y: e.clientY - drag.start.y,
+      };
+
+      // 1. Record the position, keeping only the samples needed for the release velocity.
+      drag.samples.push({ time: e.timeStamp, x: e.clientX, y: e.clientY });
+      while (
+        drag.samples.length > 2 &&
+        e.timeStamp - drag.samples[0].time > DRAG_VELOCITY_WINDOW
+      ) {
+        drag.samples.shift();
+      }
+
+      if (!drag.track) {
+        // 2. Give up if the user is selecting text rather than dragging.
+        if (drag.isMouse && window.getSelection?.().toString()) {
+          this._endDrag();
+          return;
+        }
+
+        // 3. Wait until the pointer has clearly moved along one axis.
+        if (Math.max(Math.abs(delta.x), Math.abs(delta.y)) < DRAG_SLOP) return;
+
+        const axis = Math.abs(delta.x) > Math.abs(delta.y) ? "x" : "y";
+        const direction = delta[axis] < 0 ? 1 : -1; // Dragging up/left reveals the next item
+        drag.track = this._getDragTrack(axis, direction);
+
+        // Leave the gesture alone if nothing can move on that axis, or if a nested
+        // element scrolls in that direction.
+        if (
+          !drag.track ||
+          (axis === "y" && this._hasScrollableAncestor(drag.target, -delta.y))
+        ) {
+          this._endDrag();
+          return;
+        }
+
+        // 4. Take over the gesture.
+        this.log(`Drag locked on the ${axis} axis.`);
+        this.container.setPointerCapture?.(drag.pointerId);
+        this.container.classList.add("sr-dragging");
+        drag.track.items.forEach((el) => el.classList.add("sr-drag-item"));
+        if (drag.isMouse) window.getSelection?.().removeAllRanges();
+        else this._isDragTouch = true;
+        this._onUserInteraction();
+      }
+
+      // 5. Follow the pointer.
+      this._renderDrag(delta[drag.track.axis]);
+    }
+
+    /**
+     * Ends a drag: navigates if the pointer travelled far enough (`touchThreshold`) or was
+     * flicked fast enough (`flickVelocity`) towards an existing item, otherwise snaps back.
+     * @private
+     * @param {PointerEvent} e - The pointer event object.
+     */
+    _onPointerUp(e) {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.pointerId) return;
+
+      const { track } = drag;
+      this._endDrag();
+      if (!track) return;
+
+      // A mouse drag ends with a click on whatever is under the pointer; swallow it.
+      if (drag.isMouse) this._suppressNextClick();
+
+      // 1. Measure the travelled distance and the recent velocity (positive towards the next item).
+      const position = track.axis === "x" ? e.clientX : e.clientY;
+      const [sample] = drag.samples;
+      const distance = drag.start[track.axis] - position;
+      const velocity =
+        (sample[track.axis] - position) /
+        Math.max(1, e.timeStamp - sample.time);
+      const direction = Math.sign(distance);
+      const isFast = Math.abs(velocity) >= this.opts.flickVelocity;
+
+      // 2. A fast movement back towards the start cancels the drag, a fast one forwards completes it.
+      if (
+        !direction ||
+        (isFast && Math.sign(velocity) !== direction) ||
+        (!isFast && Math.abs(distance) < this.opts.touchThreshold) ||
+        this._getDragNeighbour(track, direction) === null
+      ) {
+        this.log("Drag released: snapping back.");
+        return;
+      }
+
+      this.log(
+        `Drag released (distance: ${distance}, velocity: ${velocity.toFixed(2)}).`
+      );
+      track.navigate(direction);
+    }
+
+    /**
+     * Resolves what a drag moves: the slides of the current section on the horizontal axis;
+     * on the vertical axis the sub-slides of the current slide while there is one in the
+     * drag direction, otherwise the sections.
+     * @private
+     * @param {'x'|'y'} axis - The axis the drag is locked on.
+     * @param {number} direction - 1 when the drag reveals the next item, -1 for the previous one.
+     * @returns {object|null} The track (items, current index, looping, navigate callback), or null if nothing can be dragged.
+     */
+    _getDragTrack(axis, direction) {
+      const section = this.sectionData[this.currentIndex];
+      if (!section) return null;
+
+      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+      let track;
+
+      if (axis === "x") {
+        if (section.slides.length < 2) return null;
+        track = {
+          items: section.slides.map((slide) => slide.el),
+          index: slideIndex,
+          loop: Boolean(section.slideLoop),
+          navigate: (dir) => (dir > 0 ? this.nextSlide() : this.prevSlide()),
+        };
+      } else {
+        const subSlides = section.slides[slideIndex]?.subSlides ?? [];
+        const subSlideIndex = this._getSubSlideIndex();
+        const targetSubSlide = subSlideIndex + direction;
+
+        track =
+          targetSubSlide >= 0 && targetSubSlide < subSlides.length
+            ? {
+                items: subSlides.map((subSlide) => subSlide.el),
+                index: subSlideIndex,
+                loop: false,
+                navigate: (dir) =>
+                  dir > 0 ? this.nextSubSlide() : this.prevSubSlide(),
+              }
+            : {
+                items: this.sections,
+                index: this.currentIndex,
+                loop: this.opts.loop,
+                navigate: (dir) =>
+                  dir > 0 ? this.nextSection() : this.prevSection(),
+              };
+      }
+
+      const current = track.items[track.index];
+      track.axis = axis;
+      track.size =
+        (axis === "x" ? current.clientWidth : current.clientHeight) ||
+        (axis === "x" ? window.innerWidth : window.innerHeight);
+      return track;
+    }
+
+    /**
+     * Returns the index of the item next to the current one in a drag track.
+     * @private
+     * @param {object} track - The drag track (see _getDragTrack()).
+     * @param {number} direction - 1 for the next item, -1 for the previous one.
+     * @returns {number|null} The item index, or null at the first/last item without looping.
+     */
+    _getDragNeighbour(track, direction) {
+      const count = track.items.length;
+      const index = track.index + direction;
+
+      if (index >= 0 && index < count) return index;
+      return track.loop && count > 1 ? (index + count) % count : null;
+    }
+
+    /**
+     * Moves the items of the drag track by the pointer offset, damped (rubber-band) past the
+     * first or last item, and reveals the item coming in.
+     * @private
+     * @param {number} delta - The pointer movement along the drag axis, in px.
+     */
+    _renderDrag(delta) {
+      const { track } = this._drag;
+      const direction = delta < 0 ? 1 : -1;
+      const neighbour = this._getDragNeighbour(track, direction);
+
+      let offset = Math.max(-track.size, Math.min(track.size, delta));
+      if (neighbour === null) {
+        // The further the pointer goes, the less the items follow; they never move a full item.
+        const follow = 1 - Math.min(1, Math.max(0, this.opts.edgeResistance));
+        offset = (delta * track.size * follow) / (track.size + Math.abs(delta));
+      }
+
+      // Only the adjacent item is revealed: a wrapped-around one sits on the other side.
+      const peek = neighbour === track.index + direction ? neighbour : null;
+      const translate = track.axis === "x" ? `${offset}px 0` : `0 ${offset}px`;
+
+      track.items.forEach((el, index) => {
+        el.style.translate = translate;
+        el.classList.toggle("sr-drag-peek", index === peek);
+      });
+    }
+
+    /**
+     * Stops tracking the current drag and removes the drag styles. Items animate back to
+     * their place, or along with the navigation started right after.
+     * @private
+     */
+    _endDrag() {
+      const drag = this._drag;
+      if (!drag) return;
+
+      this._drag = null;
+      this.container.classList.remove("sr-dragging");
+      if (this.container.hasPointerCapture?.(drag.pointerId)) {
+        this.container.releasePointerCapture(drag.pointerId);
+      }
+
+      drag.track?.items.forEach((el) => {
+        el.style.translate = "";
+        el.classList.remove("sr-drag-item", "sr-drag-peek");
+      });
+    }
+
+    /**
+     * Swallows the click that follows a mouse drag, so links and controls under the
+     * pointer are not activated.
+     * @private
+     */
+    _suppressNextClick() {
+      const suppress = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      };
+
+      this.container.addEventListener("click", suppress, {
+        capture: true,
+        once: true,
+      });
+      // Drop the guard if no click follows (e.g., the pointer was released outside the container).
+      setTimeout(
+        () => this.container.removeEventListener("click", suppress, true),
+        0
+      );
+    }
+
+    /**
+     * Checks whether an element directly holds text the user may want to select.
+     * @private
+     * @param {Element} el - The element under the pointer.
+     * @returns {boolean} True if the element has selectable text.
+     */
+    _isSelectableText(el) {
+      const hasText = Array.from(el.childNodes).some(
+        (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+      );
+      return hasText && window.getComputedStyle(el).userSelect !== "none";
+    }
+
+    /**
+     * Navigates to the next sub-slide if the current slide has more sub-slides,
+     * then to the next slide if the current section has more slides,
+     * otherwise attempts to navigate to the next section.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    next() {
+      return this._schedule(() => {
+        const currentSectionData = this.sectionData[this.currentIndex];
+        // Use optional chaining and nullish coalescing for safe access
+        const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+        const slidesSize = currentSectionData?.slides.length ?? 0;
+        const subSlidesSize =
+          currentSectionData?.slides[slideIndex]?.subSlides.length ?? 0;
+
+        // Prioritize sub-slide navigation if not on the last sub-slide
+        if (subSlidesSize > 1 && this._getSubSlideIndex() < subSlidesSize - 1) {
+          this.log("Next: Navigating to next sub-slide.");
+          return this.nextSubSlide();
+        }
+
+        // Then slide navigation if not on the last slide
+        if (slidesSize > 1 && slideIndex < slidesSize - 1) {
+          this.log("Next: Navigating to next slide.");
+          return this.nextSlide();
+        }
+
+        this.log("Next: End of slides reached, attempting next section.");
+        return this.nextSection();
+      });
+    }
+
+    /**
+     * Navigates to the previous sub-slide if the current slide is not at its first sub-slide,
+     * then to the previous slide (landing on its last sub-slide) if the current section is
+     * not at the first slide, otherwise attempts to navigate to the previous section.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    prev() {
+      return this._schedule(() => {
+        const currentSectionData = this.sectionData[this.currentIndex];
+        const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+        const slidesSize = currentSectionData?.slides.length ?? 0;
+
+        // Prioritize sub-slide navigation if not on the first sub-slide
+        if (this._getSubSlideIndex() > 0) {
+          this.log("Prev: Navigating to previous sub-slide.");
+          return this.prevSubSlide();
+        }
+
+        // Then slide navigation if not on the first slide, reading the previous
+        // slide's vertical stack from its end.
+        if (slidesSize > 1 && slideIndex > 0) {
+          this.log("Prev: Navigating to previous slide.");
+          const prevSlide = currentSectionData.slides[slideIndex - 1];
+          return this._navigateToSlide(
+            slideIndex - 1,
+            "backward",
+            Math.max(prevSlide.subSlides.length - 1, 0)
+          );
+        }
+
+        this.log("Prev: Start of slides reached, attempting previous section.");
+        return this.prevSection();
+      });
+    }
+
+    /**
+     * Calculates and navigates to the next available section index,
+     * respecting the loop option.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    nextSection() {
+      return this._schedule(() => {
+        const totalSections = this.sections.length;
+        const nextIndex = this.currentIndex + 1;
+        let targetIndex;
+
+        // Check if moving to the next section is possible
+        if (nextIndex < totalSections) {
+          targetIndex = nextIndex;
+        }
+        // Check if looping to the first section is allowed
+        else if (this.opts.loop) {
+          targetIndex = 0;
+        }
+        // Stay on the current section (limit reached without loop)
+        else {
+          targetIndex = this.currentIndex;
+        }
+
+        this.log(`Navigating to next section. Target index: ${targetIndex}`);
+        return this._navigateToSection(targetIndex, false, "forward");
+      });
+    }
+
+    /**
+     * Calculates and navigates to the previous available section index,
+     * respecting the loop option.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    prevSection() {
+      return this._schedule(() => {
+        const totalSections = this.sections.length;
+        const prevIndex = this.currentIndex - 1;
+        let targetIndex;
+
+        // Check if moving to the previous section is possible
+        if (prevIndex >= 0) {
+          targetIndex = prevIndex;
+        }
+        // Check if looping to the last section is allowed
+        else if (this.opts.loop) {
+          targetIndex = totalSections - 1;
+        }
+        // Stay on the current section (limit reached without loop)
+        else {
+          targetIndex = this.currentIndex;
+        }
+
+        this.log(
+          `Navigating to previous section. Target index: ${targetIndex}`
+        );
+        // The 'true' argument (isReverse) is important for transition direction/history management.
+        return this._navigateToSection(targetIndex, true, "backward");
+      });
+    }
 
-          // Determine if there is still room to scroll in the current direction (deltaY)
-          const canScrollDown = deltaY > 0 && !isAtBottom;
-          const canScrollUp = deltaY < 0 && !isAtTop;
+    /**
+     * Navigates the current section to the next slide, if one exists.
+     * Wraps around to the first slide if slide looping is enabled for the section.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    nextSlide() {
+      return this._schedule(() => {
+        const section = this.sectionData[this.currentIndex];
 
-          if (canScrollDown || canScrollUp) {
-            this.log(
-              "Ignoring scroll event: Found active scrollable ancestor.",
-              el
+        // Ensure the section data exists before proceeding.
+        if (!section) {
+          this.log("nextSlide: Current section data is missing.");
+          return false;
+        }
+
+        // Use nullish coalescing for safe default value.
+        const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+        const slidesCount = section.slides.length;
+
+        // Navigate if the current slide is not the last one.
+        if (slideIndex < slidesCount - 1) {
+          this.log(`Navigating slide from ${slideIndex} to ${slideIndex + 1}.`);
+          return this.goToSlide(slideIndex + 1);
+        }
+
+        // Wrap around to the first slide, moving forward.
+        if (section.slideLoop && slidesCount > 1) {
+          this.log("nextSlide: Wrapping around to the first slide.");
+          return this._navigateToSlide(0, "forward");
+        }
+
+        this.log("nextSlide: Already on the last slide.");
+        return false;
+      });
+    }
+
+    /**
+     * Navigates the current section to the previous slide, if one exists.
+     * Wraps around to the last slide if slide looping is enabled for the section.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    prevSlide() {
+      return this._schedule(() => {
+        const section = this.sectionData[this.currentIndex];
+
+        // Ensure the section data exists before proceeding.
+        if (!section) {
+          this.log("prevSlide: Current section data is missing.");
+          return false;
+        }
+
+        // Use nullish coalescing for safe default value.
+        const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+
+        // Navigate if the current slide is not the first one.
+        if (slideIndex > 0) {
+          this.log(`Navigating slide from ${slideIndex} to ${slideIndex - 1}.`);
+          return this.goToSlide(slideIndex - 1);
+        }
+
+        // Wrap around to the last slide, moving backward.
+        if (section.slideLoop && section.slides.length > 1) {
+          this.log("prevSlide: Wrapping around to the last slide.");
+          return this._navigateToSlide(section.slides.length - 1, "backward");
+        }
+
+        this.log("prevSlide: Already on the first slide.");
+        return false;
+      });
+    }
+
+    /**
+     * Navigates the current slide to the next vertical sub-slide, if one exists.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    nextSubSlide() {
+      return this._schedule(() => {
+        const subSlideIndex = this._getSubSlideIndex();
+        return this._navigateToSubSlide(subSlideIndex + 1);
+      });
+    }
+
+    /**
+     * Navigates the current slide to the previous vertical sub-slide, if one exists.
+     * @public
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    prevSubSlide() {
+      return this._schedule(() => {
+        const subSlideIndex = this._getSubSlideIndex();
+        return this._navigateToSubSlide(subSlideIndex - 1);
+      });
+    }
+
+    /**
+     * Navigates to a specific vertical sub-slide within the current slide.
+     * @public
+     * @param {number} index - The zero-based index of the target sub-slide.
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    goToSubSlide(index) {
+      return this._schedule(() => this._navigateToSubSlide(index));
+    }
+
+    /**
+     * Navigates to any position of the deck, addressed as a path through the
+     * section → slide → sub-slide tree.
+     * @public
+     * @param {number} section - The zero-based index of the target section.
+     * @param {number} [slide=0] - The zero-based index of the target slide.
+     * @param {number} [subSlide=0] - The zero-based index of the target sub-slide.
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    goTo(section, slide = 0, subSlide = 0) {
+      return this._schedule(() => {
+        // 1. Another section: enter it directly at the requested slide and sub-slide.
+        if (section !== this.currentIndex) {
+          return this._navigateToSection(section, false, undefined, {
+            slide,
+            subSlide,
+          });
+        }
+
+        // 2. Another slide of the current section: land on the requested sub-slide.
+        if (slide !== (this.currentSlideIndices[this.currentIndex] ?? 0)) {
+          return this._navigateToSlide(slide, undefined, subSlide);
+        }
+
+        // 3. Same slide: move within its vertical stack.
+        return this._navigateToSubSlide(subSlide);
+      });
+    }
+
+    /**
+     * Inserts a section into the deck. Only the new section is set up; the other sections
+     * keep their data and controls, and the current section and slide are kept.
+     * @public
+     * @param {HTMLElement|string} elOrHtml - The section element, or its HTML.
+     * @param {number} [index] - The zero-based position of the new section; appended by default.
+     * @returns {HTMLElement|null} The inserted section element, or null if it does not match `sectionSelector`.
+     */
+    addSection(elOrHtml, index = this.sections.length) {
+      const el = this._toElement(
+        elOrHtml,
+        this.opts.sectionSelector,
+        "addSection"
+      );
+      if (!el) return null;
+
+      const reference = this.sections[index];
+      const last = this.sections[this.sections.length - 1];
+
+      if (reference) {
+        reference.before(el);
+      } else if (last) {
+        last.after(el);
+      } else {
+        this.container.prepend(el);
+      }
+
+      this._applyDomChanges();
+      return el;
+    }
+
+    /**
+     * Removes a section from the deck. If it was the current one, the deck stays at the same
+     * position (the following section, or the previous one if it was the last).
+     * @public
+     * @param {number} index - The zero-based index of the section.
+     * @returns {boolean} True if a section was removed.
+     */
+    removeSection(index) {
+      const section = this.sectionData[index];
+      if (!section) {
+        this.log(`removeSection skipped: Index ${index} is out of bounds.`);
+        return false;
+      }
+
+      section.el.remove();
+      this._applyDomChanges();
+      return true;
+    }
+
+    /**
+     * Inserts a slide into a section. Only that section's slides and controls are rebuilt,
+     * and its current slide is kept. A section without slides gets a slides container.
+     * @public
+     * @param {number} sectionIndex - The zero-based index of the section.
+     * @param {HTMLElement|string} elOrHtml - The slide element, or its HTML.
+     * @param {number} [index] - The zero-based position of the new slide; appended by default.
+     * @returns {HTMLElement|null} The inserted slide element, or null if the section does not exist or the element does not match `slideSelector`.
+     */
+    addSlide(sectionIndex, elOrHtml, index) {
+      const section = this.sectionData[sectionIndex];
+      if (!section) {
+        this.log(`addSlide skipped: Section ${sectionIndex} is out of bounds.`);
+        return null;
+      }
+
+      const el = this._toElement(elOrHtml, this.opts.slideSelector, "addSlide");
+      if (!el) return null;
+
+      const { slides } = section;
+      const reference = slides[index ?? slides.length]?.el;
+      const last = slides[slides.length - 1]?.el;
+
+      if (reference) {
+        reference.before(el);
+      } else if (last) {
+        last.after(el);
+      } else {
+        section.el.append(
+          this._createEl("div", { className: "sr-slides-cont" }, [el])
+        );
+      }
+
+      this._applyDomChanges();
+      return el;
+    }
+
+    /**
+     * Removes a slide from a section. If it was the current one, the section stays at the
+     * same position (the following slide, or the previous one if it was the last).
+     * @public
+     * @param {number} sectionIndex - The zero-based index of the section.
+     * @param {number} index - The zero-based index of the slide.
+     * @returns {boolean} True if a slide was removed.
+     */
+    removeSlide(sectionIndex, index) {
+      const slide = this.sectionData[sectionIndex]?.slides[index];
+      if (!slide) {
+        this.log(
+          `removeSlide skipped: Slide ${sectionIndex}/${index} is out of bounds.`
+        );
+        return false;
+      }
+
+      slide.el.remove();
+      this._applyDomChanges();
+      return true;
+    }
+
+    /**
+     * Resolves the element passed to addSection()/addSlide(): an element, or HTML whose
+     * first element is used. Warns if it does not match the expected selector.
+     * @private
+     * @param {HTMLElement|string} elOrHtml - The element or its HTML.
+     * @param {string} selector - The selector the element must match.
+     * @param {string} method - The calling method, for the warning.
+     * @returns {HTMLElement|null} The element, or null if it is unusable.
+     */
+    _toElement(elOrHtml, selector, method) {
+      let el = elOrHtml;
+
+      if (typeof elOrHtml === "string") {
+        const template = document.createElement("template");
+        template.innerHTML = elOrHtml.trim();
+        el = template.content.firstElementChild;
+      }
+
+      if (!(el instanceof Element) || !el.matches(selector)) {
+        console.warn(
+          `[SnapRoll] ${method}: the element must match '${selector}'.`
+        );
+        return null;
+      }
+      return el;
+    }
+
+    /**
+     * Checks whether the slides (or sub-slides) found in a section's DOM differ from its data.
+     * @private
+     * @param {object} section - The internal data object of the section.
+     * @returns {boolean} True if slides or sub-slides were added, removed or moved.
+     */
+    _haveSlidesChanged(section) {
+      const slideEls = Array.from(
+        section.el.querySelectorAll(this.opts.slideSelector)
+      );
+      if (slideEls.length !== section.slides.length) return true;
+
+      return slideEls.some((el, i) => {
+        const slide = section.slides[i];
+        const subEls = Array.from(
+          el.querySelectorAll(this.opts.subSlideSelector)
+        );
+
+        return (
+          slide.el !== el ||
+          subEls.length !== slide.subSlides.length ||
+          subEls.some((subEl, j) => slide.subSlides[j].el !== subEl)
+        );
+      });
+    }
+
+    /**
+     * Maps an index in a list of elements to the same element in an updated list. If the
+     * element is gone, the nearest following element that remains is used, or the last one.
+     * @private
+     * @param {HTMLElement[]} oldEls - The elements before the change.
+     * @param {HTMLElement[]} newEls - The elements after the change.
+     * @param {number} oldIndex - The index in the old list.
+     * @returns {number} The index in the new list (0 if it is empty).
+     */
+    _remapIndex(oldEls, newEls, oldIndex) {
+      for (let i = oldIndex; i < oldEls.length; i++) {
+        const newIndex = newEls.indexOf(oldEls[i]);
+        if (newIndex !== -1) return newIndex;
+      }
+      return Math.max(0, newEls.length - 1);
+    }
+
+    /**
+     * Brings the internal data in line with the DOM after sections, slides or sub-slides were
+     * added, removed or moved. New sections are built, sections whose slides changed get their
+     * slides rebuilt, and the others keep their data and controls. The current section, slide
+     * and sub-slide are kept (see _remapIndex() when they were removed).
+     * @private
+     * @returns {boolean} True if the deck changed.
+     */
+    _applyDomChanges() {
+      const elements = Array.from(
+        this.container.querySelectorAll(this.opts.sectionSelector)
+      );
+      const oldData = this.sectionData;
+
+      const isUnchanged =
+        elements.length === oldData.length &&
+        elements.every(
+          (el, i) =>
+            oldData[i].el === el && !this._haveSlidesChanged(oldData[i])
+        );
+      if (isUnchanged) return false;
+
+      this.log("DOM changed: updating sections and slides.");
+      const slideIndices = {};
+      const subSlideIndices = {};
+
+      // 1. Reuse, patch or build the data of every section, carrying its position over.
+      this.sectionData = elements.map((el, index) => {
+        const section = oldData.find((data) => data.el === el);
+
+        if (!section) {
+          slideIndices[index] = 0;
+          subSlideIndices[index] = {};
+          return this._buildSection(el, index);
+        }
+
+        const slideIndex = this.currentSlideIndices[section.index] ?? 0;
+        const subSlides = this.currentSubSlideIndices[section.index] ?? {};
+        section.index = index;
+
+        if (!this._haveSlidesChanged(section)) {
+          slideIndices[index] = slideIndex;
+          subSlideIndices[index] = subSlides;
+          return section;
+        }
+
+        // Slides changed: rebuild them, keeping the current slide and sub-slides by element.
+        const oldSlides = section.slides;
+        section.slides = this._buildSlides(el, index);
+        el.classList.toggle("sr-has-slides", section.slides.length > 0);
+        this._setupSlides(section);
+
+        const slideEls = (slides) => slides.map((slide) => slide.el);
+        slideIndices[index] = this._remapIndex(
+          slideEls(oldSlides),
+          slideEls(section.slides),
+          slideIndex
+        );
+        subSlideIndices[index] = {};
+        section.slides.forEach((slide) => {
+          const oldSlide = oldSlides.find(
+            (candidate) => candidate.el === slide.el
+          );
+          if (oldSlide) {
+            subSlideIndices[index][slide.index] = this._remapIndex(
+              slideEls(oldSlide.subSlides),
+              slideEls(slide.subSlides),
+              subSlides[oldSlide.index] ?? 0
             );
-            return true;
           }
+        });
+
+        return section;
+      });
+
+      this.currentIndex = this._remapIndex(
+        oldData.map((data) => data.el),
+        elements,
+        this.currentIndex
+      );
+      this.currentSlideIndices = slideIndices;
+      this.currentSubSlideIndices = subSlideIndices;
+      this.sections = elements;
+
+      // 2. Update what depends on the section list: positions, hashes, pagination and labels.
+      this.sectionData.forEach((data) =>
+        data.el.classList.toggle(
+          "sr-auto-height-top",
+          data.autoHeight && data.index === 0
+        )
+      );
+      if (this.opts.autoSlugs) this._generateSectionSlugs();
+      this._createPagination();
+      this._applyAriaRoles();
+      if (this._isResponsive) this._toggleAnimationClasses(false);
+      this._updateScrollOverflow();
+      if (this._isOverview) this._layoutOverview(true);
+
+      // 3. Show the (possibly moved) current position without a transition.
+      this._updateActiveElements();
+
+      // The changes above are not new content; do not react to them.
+      this._observer?.takeRecords();
+
+      this._emit("refresh", { sections: this.sectionData.length });
+      return true;
+    }
+
+    /**
+     * Returns the current position in the deck.
+     * @public
+     * @returns {{section: number, slide: number, subSlide: number}} The zero-based indices of the active section, slide and sub-slide.
+     */
+    getPosition() {
+      return {
+        section: this.currentIndex,
+        slide: this.currentSlideIndices[this.currentIndex] ?? 0,
+        subSlide: this._getSubSlideIndex(),
+      };
+    }
+
+    /**
+     * Lists every position of the deck in reading order, as visited by next(): each section
+     * without slides, each slide without sub-slides, and each sub-slide.
+     * @private
+     * @returns {Array<{section: number, slide: number, subSlide: number}>} The positions.
+     */
+    _getLinearPositions() {
+      return this.sectionData.flatMap((section) => {
+        if (section.slides.length === 0) {
+          return [{ section: section.index, slide: 0, subSlide: 0 }];
         }
-        el = el.parentElement;
+
+        return section.slides.flatMap((slide) =>
+          Array.from(
+            { length: Math.max(1, slide.subSlides.length) },
+            (_, subSlide) => ({
+              section: section.index,
+              slide: slide.index,
+              subSlide,
+            })
+          )
+        );
+      });
+    }
+
+    /**
+     * Returns the index of the current position in the flattened deck, where sections,
+     * slides and sub-slides form one sequence (see getProgress()).
+     * @public
+     * @returns {number} The zero-based linear index.
+     */
+    getLinearIndex() {
+      const { section, slide, subSlide } = this.getPosition();
+
+      return Math.max(
+        0,
+        this._getLinearPositions().findIndex(
+          (position) =>
+            position.section === section &&
+            position.slide === slide &&
+            position.subSlide === subSlide
+        )
+      );
+    }
+
+    /**
+     * Returns the progress through the whole deck, with sections, slides and sub-slides
+     * flattened into one sequence (e.g., for "Slide 7 of 23" or a reading-progress bar).
+     * @public
+     * @returns {{index: number, current: number, total: number, ratio: number}} The zero-based linear
+     * index, its 1-based number, the number of positions, and the progress from 0 (first) to 1 (last).
+     */
+    getProgress() {
+      const index = this.getLinearIndex();
+      const total = this._getLinearPositions().length;
+
+      return {
+        index,
+        current: index + 1,
+        total,
+        ratio: total > 1 ? index / (total - 1) : 1,
+      };
+    }
+
+    /**
+     * Navigates to a position of the flattened deck (see getProgress()).
+     * @public
+     * @param {number} index - The zero-based linear index.
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    goToLinear(index) {
+      const position = this._getLinearPositions()[index];
+      if (!position) {
+        this.log(`goToLinear skipped: Index ${index} is out of bounds.`);
+        return Promise.resolve(false);
+      }
+
+      return this.goTo(position.section, position.slide, position.subSlide);
+    }
+
+    /**
+     * Returns a snapshot of the deck's state, which setState() restores (for example,
+     * after a reload when the URL does not hold the position).
+     * @public
+     * @returns {SnapRollState} The version and structure of the snapshot, the current section,
+     * the slide of every section, the sub-slide of every slide, the current hashes and the mode flags.
+     */
+    getState() {
+      const { section, slide, subSlide } = this.getPosition();
+      const sectionData = this.sectionData[section];
+      const slideData = sectionData?.slides[slide];
+
+      return {
+        version: STATE_VERSION,
+        structure: this._getStructureKey(),
+        section,
+        slides: this.sectionData.map(
+          (data) => this.currentSlideIndices[data.index] ?? 0
+        ),
+        subSlides: this.sectionData.map((data) =>
+          data.slides.map((slideItem) =>
+            this._getSubSlideIndex(data.index, slideItem.index)
+          )
+        ),
+        hashes: {
+          section: sectionData?.hash ?? null,
+          slide: slideData?.hash ?? null,
+          subSlide: slideData?.subSlides[subSlide]?.hash ?? null,
+        },
+        responsive: this._isResponsive,
+        overview: this._isOverview,
+        playing: this.isPlaying(),
+      };
+    }
+
+    /**
+     * Restores a state returned by getState(): the position of every section and slide, the
+     * current section, the overview and autoplay. States of another version or of a deck whose
+     * sections, slides or sub-slides changed since are ignored. The responsive flag is
+     * informative only, as the mode follows the viewport.
+     * @public
+     * @param {SnapRollState} state - The state to restore.
+     * @param {object} [options={}]
+     * @param {boolean} [options.animate=false] - True to transition to the restored position, false to show it at once.
+     * @returns {Promise<boolean>} Resolves once the position is shown (`false` if the state was ignored or the navigation was blocked).
+     */
+    setState(state, { animate = false } = {}) {
+      if (!this._isStateCurrent(state)) {
+        this.log("State ignored: it does not match this deck.");
+        return Promise.resolve(false);
+      }
+
+      const { section } = state;
+      const slide = state.slides[section];
+      const subSlide = state.subSlides[section][slide];
+
+      // Shown at once, the position emits its change events without the chance of a veto,
+      // as when it is restored from the URL.
+      const from = this.getPosition();
+      const to = { section, slide, subSlide };
+      if (!animate) this._emitPositionChange("before", from, to);
+
+      // 1. Restore where every other section and slide stands. With a transition, the target
+      // is left to goTo() so that it sees the change.
+      this.sectionData.forEach((data) => {
+        const isTargetSection = animate && data.index === section;
+        if (!isTargetSection)
+          this.currentSlideIndices[data.index] = state.slides[data.index];
+
+        data.slides.forEach((slideData) => {
+          if (isTargetSection && slideData.index === slide) return;
+          this._setSubSlideIndex(
+            data.index,
+            slideData.index,
+            state.subSlides[data.index][slideData.index]
+          );
+        });
+      });
+
+      // 2. Show the position, at once (like a restoration from the URL) or through goTo().
+      let result;
+      if (animate) {
+        result = this.goTo(section, slide, subSlide);
+      } else {
+        this.currentIndex = section;
+        this._updateActiveElements();
+        this._emitPositionChange("after", from, to);
+        this._resetAutoplay();
+        result = Promise.resolve(true);
+      }
+
+      // 3. Restore the overview and autoplay.
+      if (typeof state.overview === "boolean")
+        this.toggleOverview(state.overview);
+      if (
+        typeof state.playing === "boolean" &&
+        state.playing !== this.isPlaying()
+      ) {
+        if (state.playing) {
+          this.play();
+        } else {
+          this.pause();
+        }
+      }
+
+      return result;
+    }
+
+    /**
+     * Describes the structure of the deck (section hashes and the number of slides and
+     * sub-slides), so that states saved for another structure can be recognized.
+     * @private
+     * @returns {string} The structure key (e.g., 'home|projects,0,0,3').
+     */
+    _getStructureKey() {
+      return this.sectionData
+        .map((data) =>
+          [
+            data.hash ?? "",
+            ...data.slides.map((slide) => slide.subSlides.length),
+          ].join(",")
+        )
+        .join("|");
+    }
+
+    /**
+     * Checks that a state has the current version and was taken from a deck with the
+     * current structure, with indices in bounds.
+     * @private
+     * @param {SnapRollState} state - The state to check.
+     * @returns {boolean} True if the state can be restored.
+     */
+    _isStateCurrent(state) {
+      if (
+        state?.version !== STATE_VERSION ||
+        state.structure !== this._getStructureKey() ||
+        !this._isValidSectionIndex(state.section) ||
+        !Array.isArray(state.slides) ||
+        !Array.isArray(state.subSlides)
+      ) {
+        return false;
       }
 
-      return false;
+      // The structure matches, so only the indices themselves can be out of bounds.
+      return this.sectionData.every((data) => {
+        const slideIndex = state.slides[data.index];
+        const subSlides = state.subSlides[data.index];
+        const isSlideValid =
+          Number.isInteger(slideIndex) &&
+          slideIndex >= 0 &&
+          slideIndex < Math.max(1, data.slides.length);
+
+        return (
+          isSlideValid &&
+          Array.isArray(subSlides) &&
+          data.slides.every((slide) => {
+            const subIndex = subSlides[slide.index];
+            return (
+              Number.isInteger(subIndex) &&
+              subIndex >= 0 &&
+              subIndex < Math.max(1, slide.subSlides.length)
+            );
+          })
+        );
+      });
+    }
+
+    /**
+     * Returns the storage key of the saved state: `persistKey`, or one derived from the page
+     * path and the `namespace` (or the container id), so that decks do not share it.
+     * @private
+     * @returns {string} The storage key.
+     */
+    _getStateKey() {
+      if (this.opts.persistKey) return this.opts.persistKey;
+
+      const name = this.opts.namespace || this.container.id;
+      return `snaproll:${window.location.pathname}${name ? `:${name}` : ""}`;
     }
 
     /**
-     * Handles the 'keydown' event for keyboard navigation.
-     * Prevents navigation if an animation is in progress or if the user is typing in an editable field.
+     * Saves the current state to the `persist` storage, if enabled.
      * @private
-     * @param {KeyboardEvent} e - The keyboard event object.
      */
-    _onKeyDown(e) {
-      // Exit immediately if animating or interacting with an input/editable field.
-      if (this._isAnimating || this._isEditableTarget(e.target)) return;
-
-      const keyMap = {
-        // Navigate Next
-        ArrowDown: this.next.bind(this),
-        PageDown: this.next.bind(this),
-        " ": this.next.bind(this), // Spacebar
-        // Navigate Previous
-        ArrowUp: this.prev.bind(this),
-        PageUp: this.prev.bind(this),
-        // Navigate to Start/End Sections
-        Home: () => this.goToSection(0),
-        End: () => this.goToSection(this.sections.length - 1),
-      };
+    _saveState() {
+      if (!this._storage || !this.sectionData.length) return;
 
-      const action = keyMap[e.key];
-
-      if (action) {
-        this.log(`Keyboard key pressed: ${e.key}. Navigating.`);
-        e.preventDefault();
-        action();
+      try {
+        this._storage.setItem(
+          this._getStateKey(),
+          JSON.stringify(this.getState())
+        );
+      } catch (error) {
+        // Full or denied storage must not break navigation.
+        this.log("Saving the state failed.", error);
       }
     }
 
     /**
-     * Handles the 'wheel' event for scroll navigation. Implements a debouncing logic
-     * to ensure that a single, continuous scroll gesture only triggers one transition.
+     * Reads the saved state from the `persist` storage. States that cannot be parsed, or that
+     * belong to another version or structure of the deck, are removed and ignored.
      * @private
-     * @param {WheelEvent} e - The wheel event object.
+     * @returns {SnapRollState|null} The saved state, or null if there is none to restore.
      */
-    _onWheel(e) {
-      // Store the absolute deltaY for cleaner checks.
-      const absDeltaY = Math.abs(e.deltaY);
+    _loadState() {
+      if (!this._storage) return null;
 
-      // 1. Exit if animating, scroll movement is too small, or scroll is internal to a child element.
-      if (
-        this._isAnimating ||
-        absDeltaY < this.opts.wheelDeltaThreshold ||
-        this._hasScrollableAncestor(e.target, e.deltaY)
-      ) {
-        return;
+      const key = this._getStateKey();
+      let state = null;
+
+      try {
+        state = JSON.parse(this._storage.getItem(key));
+      } catch (error) {
+        this.log("Saved state unreadable.", error);
       }
 
-      // Prevent default page scroll behavior.
-      e.preventDefault();
+      if (state && this._isStateCurrent(state)) return state;
 
-      // 2. Debouncing logic: Only trigger navigation if a gesture is NOT already in progress.
-      // The logic is: "If the timeout is NOT set, this is the start of a new gesture, so navigate."
-      if (!this._wheelGestureTimeout) {
-        this.log(
-          `Wheel event detected (Delta: ${e.deltaY}). Triggering navigation.`
-        );
-        e.deltaY > 0 ? this.next() : this.prev();
+      if (state) this.log("Saved state discarded: the deck has changed since.");
+      try {
+        this._storage.removeItem?.(key);
+      } catch (error) {
+        this.log("Removing the saved state failed.", error);
       }
-
-      // 3. Reset the timeout with every wheel event within the gesture.
-      // This extends the gesture and prevents a new navigation event until the user stops scrolling.
-      clearTimeout(this._wheelGestureTimeout);
-      this._wheelGestureTimeout = setTimeout(() => {
-        this.log("Wheel gesture timeout reached. Ready for next gesture.");
-        this._wheelGestureTimeout = null;
-      }, this.opts.wheelGestureEndDelay);
+      return null;
     }
 
     /**
-     * Captures the starting coordinates of the first touch point.
-     * This is the beginning of a potential swipe gesture.
-     * @private
-     * @param {TouchEvent} e - The touch event object.
+     * Alias for goToSection(). Navigates to a specific section index.
+     * @public
+     * @param {number} index - The zero-based index of the target section.
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
      */
-    _onTouchStart(e) {
-      // Only register the start point if no animation is currently running.
-      if (this._isAnimating) return;
+    scrollTo(index) {
+      return this.goToSection(index);
+    }
 
-      // Ensure touches array exists and has at least one entry.
-      if (e.touches && e.touches.length > 0) {
-        this._touchStart = {
-          x: e.touches[0].clientX,
-          y: e.touches[0].clientY,
-        };
-      }
+    /**
+     * Navigates to a specific section, handling animation debouncing and initial slide selection.
+     * This is the core navigation function for sections.
+     * @public
+     * @param {number} index - The zero-based index of the section to navigate to.
+     * @param {boolean} [isReverse=false] - True if navigating in the reverse direction (e.g., from prevSection). Used to determine the target slide.
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
+     */
+    goToSection(index, isReverse = false) {
+      return this._schedule(() => this._navigateToSection(index, isReverse));
     }
 
     /**
-     * Calculates the direction and magnitude of the swipe gesture upon touch release.
-     * Triggers section navigation (vertical swipe) or slide navigation (horizontal swipe).
+     * Performs the section transition: runs the cancelable `beforeSectionChange` hook,
+     * updates the state and DOM, and emits `afterSectionChange` once the transition has finished.
      * @private
-     * @param {TouchEvent} e - The touch event object.
+     * @param {number} index - The zero-based index of the section to navigate to.
+     * @param {boolean} isReverse - True to land on the last slide (and its last sub-slide) of the target section.
+     * @param {'forward'|'backward'} [direction] - The logical direction of the navigation; defaults to
+     * the one implied by the indices (also after a redirect).
+     * @param {{slide: number, subSlide: number}|null} [landing=null] - An explicit slide and sub-slide to land on.
+     * @returns {Promise<boolean>|boolean} Resolves to true after the transition, or false if navigation was blocked.
      */
-    _onTouchEnd(e) {
-      // Exit if animating or if a start point was never registered (e.g., failed capture or multi-touch issue).
-      if (this._isAnimating || this._touchStart.x === null) return;
-
-      // 1. Calculate the distance and direction of the swipe.
-      const endX = e.changedTouches[0].clientX;
-      const endY = e.changedTouches[0].clientY;
-
-      const delta = {
-        x: this._touchStart.x - endX, // Positive X = swipe left (next slide)
-        y: this._touchStart.y - endY, // Positive Y = swipe up (next section)
-      };
-
-      // Reset the starting coordinates to null immediately after calculation.
-      this._touchStart = { x: null, y: null };
+    _navigateToSection(index, isReverse, direction, landing = null) {
+      // 1. Bound Check: Prevent navigation if the index is outside the valid range (redundant check if next/prevSection is robust, but safe).
+      if (!this._isValidSectionIndex(index)) {
+        this.log(`goToSection blocked: Index ${index} is out of bounds.`);
+        return false;
+      }
 
-      const absDeltaX = Math.abs(delta.x);
-      const absDeltaY = Math.abs(delta.y);
+      // 2. Prevent unnecessary re-navigation if already at the target section.
+      // Note: Only skips if the initial slide index would also be the same (0 or last slide).
+      if (index === this.currentIndex) {
+        this.log(`goToSection skipped: Already on section ${index}.`);
+        return false;
+      }
 
-      // 2. Determine Dominant Direction (Vertical vs. Horizontal)
-      if (absDeltaY > absDeltaX) {
-        // --- Vertical Swipe (Section/Global Navigation) ---
+      // 3. Run the cancelable hook. Listeners may veto or redirect the navigation.
+      const from = this.currentIndex;
+      const isExplicitDirection = Boolean(direction);
+      direction = direction || (index < from ? "backward" : "forward");
+      const { cancelled, detail } = this._emit(
+        "beforeSectionChange",
+        this._getSectionChangeDetail(from, index, direction),
+        true
+      );
+
+      if (cancelled) {
+        this.log(`goToSection cancelled by a beforeSectionChange listener.`);
+        return false;
+      }
 
-        if (
-          absDeltaY > this.opts.touchThreshold &&
-          !this._hasScrollableAncestor(e.target, delta.y)
-        ) {
+      if (detail.to !== index) {
+        if (!this._isValidSectionIndex(detail.to) || detail.to === from) {
           this.log(
-            `Vertical swipe detected (DeltaY: ${delta.y}). Navigating section.`
+            `goToSection blocked: Invalid redirect target ${detail.to}.`
           );
-          delta.y > 0 ? this.next() : this.prev();
+          return false;
         }
-      } else {
-        // --- Horizontal Swipe (Slide Navigation) ---
+        this.log(`goToSection redirected from ${index} to ${detail.to}.`);
+        index = detail.to;
+        if (!isExplicitDirection) {
+          direction = index < from ? "backward" : "forward";
+        }
+      }
 
-        // Check if the current section has more than one slide to justify horizontal navigation.
-        const currentSectionHasSlides =
-          this.sectionData[this.currentIndex]?.slides.length > 1;
+      this.log(`Navigating section from ${this.currentIndex} to ${index}.`);
 
-        if (absDeltaX > this.opts.touchThreshold && currentSectionHasSlides) {
-          this.log(
-            `Horizontal swipe detected (DeltaX: ${delta.x}). Navigating slide.`
-          );
-          delta.x > 0 ? this.nextSlide() : this.prevSlide();
-        }
+      // Start animation debounce
+      this._isAnimating = true;
+      this.currentIndex = index;
+      const section = this.sectionData[index];
+
+      // 4. Set initial slide and sub-slide indices based on the landing position
+      // or the navigation direction (prev/reverse).
+      const slidesCount = section?.slides.length ?? 0;
+      let targetSlideIndex =
+        isReverse && slidesCount > 0
+          ? slidesCount - 1 // Start on the last slide if navigating in reverse
+          : 0; // Default to the first slide
+
+      if (landing && landing.slide >= 0 && landing.slide < slidesCount) {
+        targetSlideIndex = landing.slide;
       }
-    }
 
-    /**
-     * Navigates to the next slide if the current section has more slides,
-     * otherwise attempts to navigate to the next section.
-     * @public
-     */
-    next() {
-      const currentSectionData = this.sectionData[this.currentIndex];
-      // Use optional chaining and nullish coalescing for safe access
-      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
-      const slidesSize = currentSectionData?.slides.length ?? 0;
+      const subSlidesCount =
+        section?.slides[targetSlideIndex]?.subSlides.length ?? 0;
+      let targetSubSlideIndex =
+        isReverse && subSlidesCount > 0 ? subSlidesCount - 1 : 0;
 
-      // Prioritize slide navigation if not on the last slide
-      if (slidesSize > 1 && slideIndex < slidesSize - 1) {
-        this.log("Next: Navigating to next slide.");
-        this.nextSlide();
-      } else {
-        this.log("Next: End of slides reached, attempting next section.");
-        this.nextSection();
+      if (
+        landing &&
+        landing.subSlide >= 0 &&
+        landing.subSlide < subSlidesCount
+      ) {
+        targetSubSlideIndex = landing.subSlide;
       }
+
+      this.currentSlideIndices[index] = targetSlideIndex;
+      this._setSubSlideIndex(index, targetSlideIndex, targetSubSlideIndex);
+
+      // 5. Start the registered animations, if any, and apply changes to the DOM
+      // (scroll to position, update classes/UI).
+      const animated = this._animateTransition(
+        "section",
+        this.sectionData[from],
+        section,
+        direction
+      );
+      this._updateActiveElements();
+
+      // 6. Wait for the section's animation or transition (or, in plain-scroll mode, the
+      // smooth scroll) to end, then release the debounce and notify listeners.
+      const transition = this._isResponsive
+        ? this._scrollToSection(section.el)
+        : Promise.all([
+            animated.finished,
+            animated.enter ||
+              this._waitForTransition(section.el, this.opts.scrollTimeout),
+          ]);
+
+      return transition.then(() => {
+        this.log("Section transition complete. Animation reset.");
+        this._finishTransition(
+          "afterSectionChange",
+          this._getSectionChangeDetail(from, index, direction)
+        );
+        return true;
+      });
     }
 
     /**
-     * Navigates to the previous slide if the current section is not at the first slide,
-     * otherwise attempts to navigate to the previous section.
+     * Navigates to a specific slide within the current section, handling animation debouncing.
+     * This is the core navigation function for slides.
      * @public
+     * @param {number} index - The zero-based index of the target slide.
+     * @returns {Promise<boolean>} Resolves once the transition has finished (`false` if no navigation happened).
      */
-    prev() {
-      const currentSectionData = this.sectionData[this.currentIndex];
-      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
-      const slidesSize = currentSectionData?.slides.length ?? 0;
-
-      // Prioritize slide navigation if not on the first slide
-      if (slidesSize > 1 && slideIndex > 0) {
-        this.log("Prev: Navigating to previous slide.");
-        this.prevSlide();
-      } else {
-        this.log("Prev: Start of slides reached, attempting previous section.");
-        this.prevSection();
-      }
+    goToSlide(index) {
+      return this._schedule(() => this._navigateToSlide(index));
     }
 
     /**
-     * Calculates and navigates to the next available section index,
-     * respecting the loop option.
-     * @public
+     * Performs the slide transition within the current section: runs the cancelable
+     * `beforeSlideChange` hook, updates the state and DOM, and emits `afterSlideChange`
+     * once the transition has finished.
+     * @private
+     * @param {number} index - The zero-based index of the target slide.
+     * @param {'forward'|'backward'} [direction] - The logical direction; defaults to the one implied by the indices (also after a redirect).
+     * A direction that contradicts the indices (e.g., 'forward' from the last slide to the first) marks a wrap-around.
+     * @param {number} [subSlideIndex] - The sub-slide to land on; defaults to the one the target slide was left on.
+     * @returns {Promise<boolean>|boolean} Resolves to true after the transition, or false if navigation was blocked.
      */
-    nextSection() {
-      const totalSections = this.sections.length;
-      const nextIndex = this.currentIndex + 1;
-      let targetIndex;
+    _navigateToSlide(index, direction, subSlideIndex) {
+      const section = this.sectionData[this.currentIndex];
+      const currentSlideIndex =
+        this.currentSlideIndices[this.currentIndex] ?? 0;
+
+      // 1. Pre-checks: Exit if section data is missing.
+      if (!section) {
+        this.log("goToSlide blocked: Current section data is missing.");
+        return false;
+      }
+
+      // 2. Bound Check: Prevent navigation if the index is out of bounds or the same as the current.
+      if (index < 0 || index >= section.slides.length) {
+        this.log(
+          `goToSlide blocked: Slide index ${index} is out of bounds (0-${
+            section.slides.length - 1
+          }).`
+        );
+        return false;
+      }
+      if (index === currentSlideIndex) {
+        this.log(`goToSlide skipped: Already on slide ${index}.`);
+        return false;
+      }
 
-      // Check if moving to the next section is possible
-      if (nextIndex < totalSections) {
-        targetIndex = nextIndex;
+      // 3. Run the cancelable hook. Listeners may veto or redirect the navigation.
+      const isExplicitDirection = Boolean(direction);
+      direction =
+        direction || (index < currentSlideIndex ? "backward" : "forward");
+      const { cancelled, detail } = this._emit(
+        "beforeSlideChange",
+        this._getSlideChangeDetail(
+          section,
+          currentSlideIndex,
+          index,
+          direction
+        ),
+        true
+      );
+
+      if (cancelled) {
+        this.log("goToSlide cancelled by a beforeSlideChange listener.");
+        return false;
       }
-      // Check if looping to the first section is allowed
-      else if (this.opts.loop) {
-        targetIndex = 0;
+
+      if (detail.to !== index) {
+        const isValidRedirect =
+          Number.isInteger(detail.to) &&
+          detail.to >= 0 &&
+          detail.to < section.slides.length &&
+          detail.to !== currentSlideIndex;
+
+        if (!isValidRedirect) {
+          this.log(`goToSlide blocked: Invalid redirect target ${detail.to}.`);
+          return false;
+        }
+        this.log(`goToSlide redirected from ${index} to ${detail.to}.`);
+        index = detail.to;
+        if (!isExplicitDirection) {
+          direction = index < currentSlideIndex ? "backward" : "forward";
+        }
       }
-      // Stay on the current section (limit reached without loop)
-      else {
-        targetIndex = this.currentIndex;
+
+      this.log(`Navigating slide from ${currentSlideIndex} to ${index}.`);
+
+      // 4. Start animation debounce and update state
+      this._isAnimating = true;
+      this.currentSlideIndices[this.currentIndex] = index;
+
+      const subSlidesCount = section.slides[index].subSlides.length;
+      if (subSlideIndex >= 0 && subSlideIndex < subSlidesCount) {
+        this._setSubSlideIndex(this.currentIndex, index, subSlideIndex);
       }
 
-      this.log(`Navigating to next section. Target index: ${targetIndex}`);
-      this.goToSection(targetIndex);
+      // 5. Apply changes to the DOM (horizontal transform, update classes/UI).
+      // In 'infinite' mode, a wrap-around keeps moving in the same direction.
+      const isWrap =
+        section.slideLoop === "infinite" &&
+        direction !== (index < currentSlideIndex ? "backward" : "forward");
+
+      const animated = this._animateTransition(
+        "slide",
+        section.slides[currentSlideIndex],
+        section.slides[index],
+        direction
+      );
+      this._updateActiveSlide(
+        isWrap ? { from: currentSlideIndex, direction } : null
+      );
+
+      // 6. Wait for the slide's animation or transition to end, then release the debounce and notify listeners.
+      return Promise.all([
+        animated.finished,
+        animated.enter ||
+          this._waitForTransition(
+            section.slides[index].el,
+            this.opts.slideScrollTimeout
+          ),
+      ]).then(() => {
+        this.log("Slide transition complete. Animation reset.");
+
+        // Put the slides back in their regular order without animating.
+        if (isWrap) this._placeSlides(section, this._applySlideClasses);
+
+        this._finishTransition(
+          "afterSlideChange",
+          this._getSlideChangeDetail(
+            section,
+            currentSlideIndex,
+            index,
+            direction
+          )
+        );
+        return true;
+      });
     }
 
     /**
-     * Calculates and navigates to the previous available section index,
-     * respecting the loop option.
-     * @public
+     * Performs the sub-slide transition within the current slide: runs the cancelable
+     * `beforeSubSlideChange` hook, updates the state and DOM, and emits `afterSubSlideChange`
+     * once the transition has finished.
+     * @private
+     * @param {number} index - The zero-based index of the target sub-slide.
+     * @returns {Promise<boolean>|boolean} Resolves to true after the transition, or false if navigation was blocked.
      */
-    prevSection() {
-      const totalSections = this.sections.length;
-      const prevIndex = this.currentIndex - 1;
-      let targetIndex;
+    _navigateToSubSlide(index) {
+      const section = this.sectionData[this.currentIndex];
+      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+      const slide = section?.slides[slideIndex];
+      const currentSubSlideIndex = this._getSubSlideIndex();
+
+      // 1. Pre-checks: Exit if the slide has no vertical stack.
+      if (!slide || slide.subSlides.length < 2) {
+        this.log("goToSubSlide blocked: Current slide has no sub-slides.");
+        return false;
+      }
 
-      // Check if moving to the previous section is possible
-      if (prevIndex >= 0) {
-        targetIndex = prevIndex;
+      // 2. Bound Check: Prevent navigation if the index is out of bounds or the same as the current.
+      if (index < 0 || index >= slide.subSlides.length) {
+        this.log(
+          `goToSubSlide blocked: Sub-slide index ${index} is out of bounds (0-${
+            slide.subSlides.length - 1
+          }).`
+        );
+        return false;
+      }
+      if (index === currentSubSlideIndex) {
+        this.log(`goToSubSlide skipped: Already on sub-slide ${index}.`);
+        return false;
       }
-      // Check if looping to the last section is allowed
-      else if (this.opts.loop) {
-        targetIndex = totalSections - 1;
+
+      // 3. Run the cancelable hook. Listeners may veto or redirect the navigation.
+      const direction = index < currentSubSlideIndex ? "backward" : "forward";
+      const { cancelled, detail } = this._emit(
+        "beforeSubSlideChange",
+        this._getSubSlideChangeDetail(
+          section,
+          slide,
+          currentSubSlideIndex,
+          index,
+          direction
+        ),
+        true
+      );
+
+      if (cancelled) {
+        this.log("goToSubSlide cancelled by a beforeSubSlideChange listener.");
+        return false;
       }
-      // Stay on the current section (limit reached without loop)
-      else {
-        targetIndex = this.currentIndex;
+
+      if (detail.to !== index) {
+        const isValidRedirect =
+          Number.isInteger(detail.to) &&
+          detail.to >= 0 &&
+          detail.to < slide.subSlides.length &&
+          detail.to !== currentSubSlideIndex;
+
+        if (!isValidRedirect) {
+          this.log(
+            `goToSubSlide blocked: Invalid redirect target ${detail.to}.`
+          );
+          return false;
+        }
+        this.log(`goToSubSlide redirected from ${index} to ${detail.to}.`);
+        index = detail.to;
       }
 
-      this.log(`Navigating to previous section. Target index: ${targetIndex}`);
-      // The 'true' argument (isReverse) is important for transition direction/history management.
-      this.goToSection(targetIndex, true);
+      this.log(
+        `Navigating sub-slide from ${currentSubSlideIndex} to ${index}.`
+      );
+
+      // 4. Start animation debounce and update state
+      this._isAnimating = true;
+      this._setSubSlideIndex(this.currentIndex, slideIndex, index);
+
+      // 5. Apply changes to the DOM (vertical transform, update classes/UI).
+      this._updateActiveSlide();
+
+      // 6. Wait for the sub-slide's transition to end, then release the debounce and notify listeners.
+      return this._waitForTransition(
+        slide.subSlides[index].el,
+        this.opts.slideScrollTimeout
+      ).then(() => {
+        this.log("Sub-slide transition complete. Animation reset.");
+        this._finishTransition(
+          "afterSubSlideChange",
+          this._getSubSlideChangeDetail(
+            section,
+            slide,
+            currentSubSlideIndex,
+            index,
+            direction
+          )
+        );
+        return true;
+      });
     }
 
     /**
-     * Navigates the current section to the next slide, if one exists.
-     * Does not wrap around (loop) slides.
-     * @public
+     * Runs a navigation task now, or, if a transition is in progress, handles it according
+     * to the `navigationQueue` option: dropped ('none'), appended to a queue ('queue'),
+     * or kept as the single pending call, replacing any earlier one ('latest').
+     * @private
+     * @param {Function} task - The navigation task. May return a boolean or a Promise<boolean>.
+     * @returns {Promise<boolean>} Resolves with the task's result once it has run.
      */
-    nextSlide() {
-      const section = this.sectionData[this.currentIndex];
-
-      // Ensure the section data exists before proceeding.
-      if (!section) {
-        this.log("nextSlide: Current section data is missing.");
-        return;
+    _schedule(task) {
+      // 1. Run immediately when idle.
+      if (!this._isAnimating) {
+        return Promise.resolve(task());
       }
 
-      // Use nullish coalescing for safe default value.
-      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
-      const slidesCount = section.slides.length;
+      // 2. Otherwise, apply the configured queueing strategy.
+      switch (this.opts.navigationQueue) {
+        case "queue":
+          this.log("Navigation queued: Animation is in progress.");
+          return new Promise((resolve, reject) => {
+            this._navigationQueue.push({ task, resolve, reject });
+          });
 
-      // Navigate if the current slide is not the last one.
-      if (slideIndex < slidesCount - 1) {
-        this.log(`Navigating slide from ${slideIndex} to ${slideIndex + 1}.`);
-        this.goToSlide(slideIndex + 1);
-      } else {
-        this.log("nextSlide: Already on the last slide.");
+        case "latest":
+          this.log("Navigation deferred: Replacing any pending call.");
+          // Earlier pending calls are superseded and resolve without navigating.
+          this._navigationQueue.forEach(({ resolve }) => resolve(false));
+          return new Promise((resolve, reject) => {
+            this._navigationQueue = [{ task, resolve, reject }];
+          });
+
+        default:
+          this.log("Navigation blocked: Animation is in progress.");
+          return Promise.resolve(false);
       }
     }
 
     /**
-     * Navigates the current section to the previous slide, if one exists.
-     * Does not wrap around (loop) slides.
-     * @public
+     * Releases the animation debounce, emits the matching `after*` event,
+     * and runs the next pending navigation task, if any.
+     * @private
+     * @param {string} event - The name of the event to emit (e.g., 'afterSectionChange').
+     * @param {object} detail - The event detail.
      */
-    prevSlide() {
-      const section = this.sectionData[this.currentIndex];
+    _finishTransition(event, detail) {
+      this._isAnimating = false;
+      this._announcePosition(event);
+      this._focusCurrentView();
+      this._emit(event, detail);
+      this._resetAutoplay();
+
+      this._runPendingNavigation();
+    }
 
-      // Ensure the section data exists before proceeding.
-      if (!section) {
-        this.log("prevSlide: Current section data is missing.");
-        return;
+    /**
+     * Runs the pending navigation tasks in order until one starts a transition. Tasks that
+     * do not navigate (e.g., vetoed or out-of-bounds calls) resolve right away, so the
+     * tasks queued behind them are not stranded. A task that throws rejects its own promise
+     * only, and the tasks behind it still run.
+     * @private
+     */
+    _runPendingNavigation() {
+      while (this._navigationQueue.length > 0 && !this._isAnimating) {
+        const { task, resolve, reject } = this._navigationQueue.shift();
+        try {
+          resolve(task());
+        } catch (error) {
+          reject(error);
+        }
       }
+    }
 
-      // Use nullish coalescing for safe default value.
-      const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
+    /**
+     * Starts the registered animations (see SnapRoll.registerAnimation()) of the leaving and
+     * the entering section or slide, each using its own animation. Their CSS transitions are
+     * turned off meanwhile (`sr-js-anim`). Items without a registered animation, and all items
+     * in plain-scroll mode, with reduced motion or without `Element.animate()`, keep their CSS
+     * transition.
+     * @private
+     * @param {'section'|'slide'} type - The level of the transition.
+     * @param {object} from - The internal data object of the leaving section or slide.
+     * @param {object} to - The internal data object of the entering section or slide.
+     * @param {'forward'|'backward'} direction - The logical direction of the navigation.
+     * @returns {{enter: Promise<void>|null, finished: Promise<void>}} The end of the entering
+     * item's animation (null if it has none), and the end of all started animations.
+     */
+    _animateTransition(type, from, to, direction) {
+      const canAnimate =
+        typeof to.el.animate === "function" &&
+        !this._isResponsive &&
+        !window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+
+      const start = (item, phase) => {
+        const definition =
+          canAnimate && item ? ANIMATIONS.get(item.animation) : null;
+        let keyframes = definition?.[phase];
+
+        if (typeof keyframes === "function") {
+          keyframes = keyframes({
+            el: item.el,
+            from: from?.el ?? null,
+            to: to.el,
+            direction,
+            type,
+            instance: this,
+          });
+        }
+        if (!keyframes) return null;
 
-      // Navigate if the current slide is not the first one.
-      if (slideIndex > 0) {
-        this.log(`Navigating slide from ${slideIndex} to ${slideIndex - 1}.`);
-        this.goToSlide(slideIndex - 1);
-      } else {
-        this.log("prevSlide: Already on the first slide.");
-      }
+        const animation = item.el.animate(
+          keyframes,
+          this._getAnimationTiming(type, item, definition)
+        );
+        this._animations.add(animation);
+        item.el.classList.add("sr-js-anim");
+
+        // Cancelled animations (e.g., on destroy) end the transition too.
+        return animation.finished
+          .catch(() => {})
+          .then(() => {
+            this._animations.delete(animation);
+            item.el.classList.remove("sr-js-anim");
+          });
+      };
+
+      const leave = from && from !== to ? start(from, "leave") : null;
+      const enter = start(to, "enter");
+
+      return {
+        enter,
+        finished: Promise.all([leave, enter]).then(() => {}),
+      };
     }
 
     /**
-     * Alias for goToSection(). Navigates to a specific section index.
-     * @public
-     * @param {number} index - The zero-based index of the target section.
+     * Applies the `data-sr-duration` (ms) and `data-sr-easing` of a section or slide to its
+     * CSS transition, or removes them. Registered animations read them as well.
+     * @private
+     * @param {HTMLElement} el - The section or slide element.
+     * @param {boolean} [apply=true] - False to remove the timing.
      */
-    scrollTo(index) {
-      this.goToSection(index);
+    _applyTransitionTiming(el, apply = true) {
+      const duration = parseInt(el.dataset.srDuration, 10);
+      const { srEasing: easing } = el.dataset;
+
+      if (!isNaN(duration))
+        el.style.transitionDuration = apply ? `${duration}ms` : "";
+      if (easing) el.style.transitionTimingFunction = apply ? easing : "";
     }
 
     /**
-     * Navigates to a specific section, handling animation debouncing and initial slide selection.
-     * This is the core navigation function for sections.
-     * @public
-     * @param {number} index - The zero-based index of the section to navigate to.
-     * @param {boolean} [isReverse=false] - True if navigating in the reverse direction (e.g., from prevSection). Used to determine the target slide.
+     * Resolves the timing of a registered animation: the section or slide `data-sr-duration`
+     * (ms) and `data-sr-easing` > the animation's `duration` and `easing` > `scrollTimeout`
+     * (sections) or `slideScrollTimeout` (slides) and 'ease-in-out'.
+     * @private
+     * @param {'section'|'slide'} type - The level of the transition.
+     * @param {object} item - The internal data object of the section or slide.
+     * @param {SnapRollAnimation} definition - The registered animation.
+     * @returns {{duration: number, easing: string}} The timing passed to `Element.animate()`.
      */
-    goToSection(index, isReverse = false) {
-      // 1. Debounce check: Prevent navigation if an animation is already in progress.
-      if (this._isAnimating) {
-        this.log("goToSection blocked: Animation is in progress.");
-        return;
-      }
+    _getAnimationTiming(type, item, definition) {
+      const isSection = type === "section";
+      const duration = parseInt(item.el.dataset.srDuration, 10);
+
+      return {
+        duration: !isNaN(duration)
+          ? duration
+          : (definition.duration ??
+            (isSection
+              ? this.opts.scrollTimeout
+              : this.opts.slideScrollTimeout)),
+        easing: item.el.dataset.srEasing || definition.easing || "ease-in-out",
+      };
+    }
 
-      // 2. Bound Check: Prevent navigation if the index is outside the valid range (redundant check if next/prevSection is robust, but safe).
-      if (index < 0 || index >= this.sections.length) {
-        this.log(`goToSection blocked: Index ${index} is out of bounds.`);
-        return;
-      }
+    /**
+     * Waits for the CSS transition or animation of an element to end.
+     * The longest duration declared in its computed style is used to ignore
+     * `transitionend` events of shorter properties; the timeout acts only as a fallback
+     * for cases where the event never fires (e.g., hidden tabs or interrupted transitions).
+     * @private
+     * @param {HTMLElement} el - The element whose transition should be awaited.
+     * @param {number} fallbackTimeout - The minimum fallback delay in ms.
+     * @returns {Promise<void>} Resolves when the transition has finished.
+     */
+    _waitForTransition(el, fallbackTimeout) {
+      const duration = this._getTransitionDuration(el);
 
-      // 3. Prevent unnecessary re-navigation if already at the target section.
-      // Note: Only skips if the initial slide index would also be the same (0 or last slide).
-      if (index === this.currentIndex) {
-        this.log(`goToSection skipped: Already on section ${index}.`);
-        return;
-      }
+      // No transition or animation declared (e.g., reduced motion): resolve right away.
+      if (duration === 0) return Promise.resolve();
 
-      this.log(`Navigating section from ${this.currentIndex} to ${index}.`);
+      return new Promise((resolve) => {
+        const startedAt = performance.now();
+        let timer = null;
 
-      // Start animation debounce
-      this._isAnimating = true;
-      this.currentIndex = index;
-      const section = this.sectionData[index];
+        const finish = () => {
+          clearTimeout(timer);
+          el.removeEventListener("transitionend", onEnd);
+          el.removeEventListener("animationend", onEnd);
+          resolve();
+        };
 
-      // 4. Set initial slide index based on navigation direction (prev/reverse).
-      const targetSlideIndex =
-        isReverse && section?.slides.length > 0
-          ? section.slides.length - 1 // Start on the last slide if navigating in reverse
-          : 0; // Default to the first slide
+        const onEnd = (e) => {
+          // Ignore events bubbling up from descendants and from shorter properties.
+          if (e.target !== el) return;
+          if (performance.now() - startedAt < duration - 50) return;
+          finish();
+        };
 
-      this.currentSlideIndices[index] = targetSlideIndex;
+        el.addEventListener("transitionend", onEnd);
+        el.addEventListener("animationend", onEnd);
+        timer = setTimeout(finish, Math.max(fallbackTimeout, duration + 100));
+      });
+    }
 
-      // 5. Apply changes to the DOM (scroll to position, update classes/UI)
-      this._updateActiveElements();
+    /**
+     * Reads the longest transition or animation (duration + delay) declared
+     * in an element's computed style.
+     * @private
+     * @param {HTMLElement} el - The element to inspect.
+     * @returns {number} The longest duration in ms, or 0 if none is declared.
+     */
+    _getTransitionDuration(el) {
+      const style = window.getComputedStyle(el);
+
+      // Convert a CSS time list (e.g., "0.8s, 300ms") into milliseconds.
+      const toMs = (value) =>
+        (value || "")
+          .split(",")
+          .map((time) =>
+            time.trim().endsWith("ms")
+              ? parseFloat(time)
+              : parseFloat(time) * 1000
+          )
+          .map((ms) => (isNaN(ms) ? 0 : ms));
+
+      // Pair every duration with its delay (CSS repeats shorter lists).
+      const longest = (durations, delays) =>
+        durations.reduce(
+          (max, duration, i) =>
+            Math.max(max, duration + (delays[i % delays.length] || 0)),
+          0
+        );
 
-      // 6. End animation debounce after the transition timeout
-      setTimeout(() => {
-        this._isAnimating = false;
-        this.log("Section transition complete. Animation reset.");
-      }, this.opts.scrollTimeout);
+      return Math.max(
+        longest(toMs(style.transitionDuration), toMs(style.transitionDelay)),
+        longest(toMs(style.animationDuration), toMs(style.animationDelay))
+      );
     }
 
     /**
-     * Navigates to a specific slide within the current section, handling animation debouncing.
-     * This is the core navigation function for slides.
-     * @public
-     * @param {number} index - The zero-based index of the target slide.
+     * Returns the key that addresses a section in the URL: its hash, or its 1-based number.
+     * @private
+     * @param {object} section - The internal data object of the section.
+     * @returns {string} The section key.
      */
-    goToSlide(index) {
-      const section = this.sectionData[this.currentIndex];
-      const currentSlideIndex =
-        this.currentSlideIndices[this.currentIndex] ?? 0;
+    _getSectionKey(section) {
+      return section.hash || String(section.index + 1);
+    }
 
-      // 1. Pre-checks: Exit if animating or section data is missing.
-      if (this._isAnimating) {
-        this.log("goToSlide blocked: Animation is in progress.");
-        return;
-      }
-      if (!section) {
-        this.log("goToSlide blocked: Current section data is missing.");
-        return;
-      }
+    /**
+     * Checks whether a value is a valid, zero-based section index.
+     * @private
+     * @param {*} index - The value to check.
+     * @returns {boolean} True if the index points to an existing section.
+     */
+    _isValidSectionIndex(index) {
+      return (
+        Number.isInteger(index) && index >= 0 && index < this.sections.length
+      );
+    }
 
-      // 2. Bound Check: Prevent navigation if the index is out of bounds or the same as the current.
-      if (index < 0 || index >= section.slides.length) {
-        this.log(
-          `goToSlide blocked: Slide index ${index} is out of bounds (0-${
-            section.slides.length - 1
-          }).`
+    /**
+     * Emits the change events for a position shown at once, restored from the URL or by
+     * setState(), as the navigation methods do: the events of the section if it changed,
+     * otherwise of the slide or of the sub-slide. As the position is already decided, the
+     * `before*` events are informative only; they cannot be cancelled or redirected.
+     * @private
+     * @param {'before'|'after'} phase - Which of the two events to emit.
+     * @param {{section: number, slide: number, subSlide: number}} from - The position being left.
+     * @param {{section: number, slide: number, subSlide: number}} to - The position being shown.
+     */
+    _emitPositionChange(phase, from, to) {
+      const getDirection = (fromIndex, toIndex) =>
+        toIndex < fromIndex ? "backward" : "forward";
+      const section = this.sectionData[to.section];
+      const slide = section?.slides[to.slide];
+
+      if (from.section !== to.section) {
+        this._emit(
+          `${phase}SectionChange`,
+          this._getSectionChangeDetail(
+            from.section,
+            to.section,
+            getDirection(from.section, to.section)
+          )
+        );
+      } else if (from.slide !== to.slide && slide) {
+        this._emit(
+          `${phase}SlideChange`,
+          this._getSlideChangeDetail(
+            section,
+            from.slide,
+            to.slide,
+            getDirection(from.slide, to.slide)
+          )
+        );
+      } else if (from.subSlide !== to.subSlide && slide) {
+        this._emit(
+          `${phase}SubSlideChange`,
+          this._getSubSlideChangeDetail(
+            section,
+            slide,
+            from.subSlide,
+            to.subSlide,
+            getDirection(from.subSlide, to.subSlide)
+          )
         );
-        return;
-      }
-      if (index === currentSlideIndex) {
-        this.log(`goToSlide skipped: Already on slide ${index}.`);
-        return;
       }
+    }
 
-      this.log(`Navigating slide from ${currentSlideIndex} to ${index}.`);
+    /**
+     * Builds the detail object shared by the section change events.
+     * @private
+     * @param {number} from - The index of the section being left.
+     * @param {number} to - The index of the target section.
+     * @param {'forward'|'backward'} direction - The logical direction of the navigation.
+     * @returns {object} The event detail.
+     */
+    _getSectionChangeDetail(from, to, direction) {
+      return {
+        from,
+        to,
+        fromHash: this.sectionData[from]?.hash ?? null,
+        toHash: this.sectionData[to]?.hash ?? null,
+        direction,
+      };
+    }
 
-      // 3. Start animation debounce and update state
-      this._isAnimating = true;
-      this.currentSlideIndices[this.currentIndex] = index;
+    /**
+     * Builds the detail object shared by the slide change events.
+     * @private
+     * @param {object} section - The internal data object of the section owning the slides.
+     * @param {number} from - The index of the slide being left.
+     * @param {number} to - The index of the target slide.
+     * @param {'forward'|'backward'} direction - The logical direction of the navigation.
+     * @returns {object} The event detail.
+     */
+    _getSlideChangeDetail(section, from, to, direction) {
+      return {
+        section: section.index,
+        from,
+        to,
+        fromHash: section.slides[from]?.hash ?? null,
+        toHash: section.slides[to]?.hash ?? null,
+        direction,
+      };
+    }
 
-      // 4. Apply changes to the DOM (horizontal transform, update classes/UI)
-      this._updateActiveSlide();
+    /**
+     * Builds the detail object shared by the sub-slide change events.
+     * @private
+     * @param {object} section - The internal data object of the section owning the slide.
+     * @param {object} slide - The internal data object of the slide owning the sub-slides.
+     * @param {number} from - The index of the sub-slide being left.
+     * @param {number} to - The index of the target sub-slide.
+     * @param {'forward'|'backward'} direction - The logical direction of the navigation.
+     * @returns {object} The event detail.
+     */
+    _getSubSlideChangeDetail(section, slide, from, to, direction) {
+      return {
+        section: section.index,
+        slide: slide.index,
+        from,
+        to,
+        fromHash: slide.subSlides[from]?.hash ?? null,
+        toHash: slide.subSlides[to]?.hash ?? null,
+        direction,
+      };
+    }
 
-      // 5. End animation debounce after the transition timeout
-      setTimeout(() => {
-        this._isAnimating = false;
-        this.log("Slide transition complete. Animation reset.");
-      }, this.opts.slideScrollTimeout);
+    /**
+     * Returns the active sub-slide index of a slide. Each slide keeps its own
+     * vertical position, so returning to a slide restores where it was left.
+     * @private
+     * @param {number} [sectionIndex] - The section index; defaults to the current section.
+     * @param {number} [slideIndex] - The slide index; defaults to the section's current slide.
+     * @returns {number} The zero-based sub-slide index.
+     */
+    _getSubSlideIndex(
+      sectionIndex = this.currentIndex,
+      slideIndex = this.currentSlideIndices[sectionIndex] ?? 0
+    ) {
+      return this.currentSubSlideIndices[sectionIndex]?.[slideIndex] ?? 0;
     }
 
     /**
-     * Updates the URL hash in the browser's history without triggering a page reload.
-     * The hash format includes both the section hash and, optionally, the slide hash.
+     * Stores the active sub-slide index of a slide.
      * @private
+     * @param {number} sectionIndex - The section index.
+     * @param {number} slideIndex - The slide index.
+     * @param {number} subSlideIndex - The zero-based sub-slide index.
      */
-    _updateURLHash() {
-      const section = this.sectionData[this.currentIndex];
+    _setSubSlideIndex(sectionIndex, slideIndex, subSlideIndex) {
+      const indices = this.currentSubSlideIndices[sectionIndex] ?? {};
+      indices[slideIndex] = subSlideIndex;
+      this.currentSubSlideIndices[sectionIndex] = indices;
+    }
+
+    /**
+     * Writes the current position to the URL through the router, according to the `history` option.
+     * The route includes the section key (hash or number) and, optionally, the slide and sub-slide hashes.
+     * With `history: 'push'`, each change adds a history entry, except for changes made in quick
+     * succession (see `historyCoalesceDelay`) and restorations from the URL, which replace the current one.
+     * @private
+     */
+    _updateRoute() {
+      // Exit if the URL must not be touched at all.
+      if (this.opts.history === "none") return;
 
-      // Exit if the current section doesn't have a hash defined (no deep linking possible).
-      if (!section || !section.hash) return;
+      const section = this.sectionData[this.currentIndex];
+      if (!section) return;
 
+      // Sections without a hash are addressed by their number (1-based).
       const slideIndex = this.currentSlideIndices[this.currentIndex] ?? 0;
-      let newHash = `#${section.hash}`;
+      const segments = [this._getSectionKey(section)];
 
-      // Conditionally append the slide hash if the section has multiple slides.
-      if (section.slides.length > 1) {
-        const slide = section.slides[slideIndex];
+      // Conditionally append the slide hash if the section has multiple slides,
+      // and the sub-slide hash if the slide has multiple sub-slides.
+      const slide = section.slides[slideIndex];
+      const hasSubSlides = slide?.subSlides.length > 1;
 
+      if (section.slides.length > 1 || hasSubSlides) {
         // Only append slide hash if the slide object exists and has a hash value
         if (slide?.hash) {
-          newHash += this.opts.hashSeparator + slide.hash;
+          segments.push(slide.hash);
         }
       }
 
-      // Use history.replaceState to update the URL without adding a new history entry.
-      if (window.location.hash !== newHash) {
-        this.log(`Updating URL hash: ${newHash}`);
-        history.replaceState(null, "", newHash);
-      } else {
-        this.log("URL hash is already current.");
+      if (hasSubSlides && slide.hash) {
+        const subSlide = slide.subSlides[this._getSubSlideIndex()];
+        if (subSlide?.hash) segments.push(subSlide.hash);
+      }
+
+      // While restoring, leave URLs that do not belong to the deck untouched.
+      const currentSegments = this.router.read();
+      if (this._isSyncingFromURL && !this._resolveRoute(currentSegments)) {
+        this.log("Route is not claimed by the deck; URL left untouched.");
+        return;
       }
+
+      if ((currentSegments || []).join("/") === segments.join("/")) {
+        this.log("Route is already current.");
+        return;
+      }
+
+      // Decide between adding a new history entry and replacing the current one.
+      const now = Date.now();
+      const isRapidChange =
+        now - this._lastHistoryWrite < this.opts.historyCoalesceDelay;
+      const shouldPush =
+        this.opts.history === "push" &&
+        !this._isSyncingFromURL &&
+        !this._isResponsive &&
+        !isRapidChange;
+
+      this.log(
+        `${shouldPush ? "Pushing" : "Updating"} route: ${segments.join(" / ")}`
+      );
+      this.router.write(segments, { replace: !shouldPush });
+
+      // Restorations from the URL do not count as user navigation for coalescing.
+      if (!this._isSyncingFromURL) this._lastHistoryWrite = now;
     }
 
     /**
@@ -1184,8 +6094,15 @@
         // Optimization: Use a single classList.remove() for both classes
         section.classList.remove(this.opts.activeClass, this.opts.prevClass);
 
-        if (i < this.currentIndex) {
+        // Hide off-screen sections from assistive technology (all are on screen in plain-scroll mode).
+        this._setHidden(
+          section,
+          i !== this.currentIndex && !this._isResponsive
+        );
+
+        if (i < this.currentIndex && !this._isResponsive) {
           // Apply class for sections that are visually 'above' the current one
+          // (not in plain-scroll mode, where sections are laid out in the page flow)
           section.classList.add(this.opts.prevClass);
         } else if (i === this.currentIndex) {
           // Apply the active class
@@ -1194,7 +6111,10 @@
         // Optimization: No 'else' needed here, as classes are removed first.
       });
 
-      // 2. Update Slide-Specific Elements (Delegated to separate method)
+      // 1b. Reveal the neighbour of an auto-height section in the space it leaves free.
+      this._updatePeek();
+
+      // 2. Update Slide-Specific Elements and media (Delegated to separate method)
       this._updateActiveSlide();
 
       // 3. Update Page Title (Document Title)
@@ -1214,18 +6134,169 @@
       // Use a nullish check for safety, and use querySelectorAll on the container
       // if `childNodes` is not iterable or contains unexpected nodes (like text nodes).
       this.paginationContainer
-        ?.querySelectorAll(".sr-dot")
+        ?.querySelectorAll(":scope > li > .sr-dot")
         ?.forEach((dotLink, i) =>
-          dotLink.classList.toggle("sr-dot-active", i === this.currentIndex)
+          this._setDotState(dotLink, "sr-dot-active", i === this.currentIndex)
+        );
+
+      // 5. Keep the current position highlighted in the overview grid.
+      if (this._isOverview) this._updateOverviewTiles();
+    }
+
+    /**
+     * When the current section is an auto-height one, shifts its neighbour into the rest of
+     * the viewport: the previous section moves up by the section's height (or, for a leading
+     * auto-height section, the next one comes up below it). The offset is exposed to CSS as
+     * `--sr-peek-offset` on the container.
+     * @private
+     */
+    _updatePeek() {
+      const section = this.sectionData[this.currentIndex];
+      const isPeeking = Boolean(section?.autoHeight) && !this._isResponsive;
+      const isLeading = this.currentIndex === 0;
+      const peekIndex = isLeading ? 1 : this.currentIndex - 1;
+
+      this.sections.forEach((el, i) =>
+        el.classList.toggle("sr-peek", isPeeking && i === peekIndex)
+      );
+
+      if (isPeeking) {
+        const height = section.el.offsetHeight;
+        this.container.style.setProperty(
+          "--sr-peek-offset",
+          `${isLeading ? height : -height}px`
         );
+      } else {
+        this.container.style.removeProperty("--sr-peek-offset");
+      }
+    }
+
+    /**
+     * Lists the entries of the bound menu with the position they address. Entries are
+     * elements with `data-sr-menuanchor` (e.g., 'projects' or 'projects--2'), and `#hash`
+     * links outside of them. Entries addressing no section of the deck are left out.
+     * @private
+     * @returns {Array<{el: HTMLElement, depth: number, section: number, slide: number, subSlide: number}>} The entries; `depth` is the number of route segments (1 for a section entry, 2 for a slide entry, 3 for a sub-slide entry).
+     */
+    _getMenuItems() {
+      if (!this.menu) return [];
+
+      return (
+        Array.from(this.menu.querySelectorAll(MENU_ITEM_SELECTOR))
+          // Links inside an entry belong to that entry.
+          .filter(
+            (el) =>
+              el.dataset.srMenuanchor !== undefined ||
+              !el.parentElement.closest("[data-sr-menuanchor]")
+          )
+          .map((el) => {
+            const segments = this._getMenuAnchorSegments(el);
+            const target = segments && this._resolveRoute(segments);
+            return target ? { el, depth: segments.length, ...target } : null;
+          })
+          .filter(Boolean)
+      );
+    }
+
+    /**
+     * Reads the route segments addressed by a menu entry: its `data-sr-menuanchor` value, or
+     * the hash of its link without the deck's namespace and hash prefix.
+     * @private
+     * @param {HTMLElement} el - The menu entry.
+     * @returns {string[]|null} The route segments, or null if the entry addresses nothing.
+     */
+    _getMenuAnchorSegments(el) {
+      const { namespace, hashPrefix, hashSeparator } = this.opts;
+      let anchor = el.dataset.srMenuanchor;
+
+      if (anchor === undefined) {
+        anchor = safeDecode(el.getAttribute("href").substring(1));
+
+        if (namespace) {
+          const part = anchor
+            .split("&")
+            .find((p) => p.startsWith(`${namespace}=`));
+          anchor = part ? part.substring(namespace.length + 1) : anchor;
+        }
+        if (hashPrefix && anchor.startsWith(hashPrefix)) {
+          anchor = anchor.substring(hashPrefix.length);
+        }
+      }
+
+      return anchor ? anchor.split(hashSeparator) : null;
+    }
+
+    /**
+     * Adds the `menuActiveClass` (and `aria-current`) to the menu entries of the current
+     * position: section entries while their section is current, slide and sub-slide
+     * entries while their slide or sub-slide is.
+     * @private
+     */
+    _updateMenu() {
+      const { section, slide, subSlide } = this.getPosition();
+
+      this._getMenuItems().forEach((item) => {
+        const isActive =
+          item.section === section &&
+          (item.depth < 2 || item.slide === slide) &&
+          (item.depth < 3 || item.subSlide === subSlide);
+
+        this._setMenuItemState(item.el, isActive);
+      });
+    }
+
+    /**
+     * Sets the active state of a menu entry: the active class on the entry, and
+     * `aria-current` on its link.
+     * @private
+     * @param {HTMLElement} el - The menu entry.
+     * @param {boolean} isActive - Whether the entry is current.
+     */
+    _setMenuItemState(el, isActive) {
+      el.classList.toggle(this.opts.menuActiveClass, isActive);
+
+      const link = el.matches("a") ? el : el.querySelector("a");
+      if (isActive) {
+        link?.setAttribute("aria-current", "true");
+      } else {
+        link?.removeAttribute("aria-current");
+      }
+    }
+
+    /**
+     * Handles clicks on the bound menu: entries addressing the deck navigate to their
+     * section (keeping its current slide) or to their slide, instead of jumping to the anchor.
+     * @private
+     * @param {MouseEvent} e - The click event object.
+     */
+    _onMenuClick(e) {
+      const el = e.target.closest?.(MENU_ITEM_SELECTOR);
+      if (!el || !this.menu.contains(el)) return;
+
+      // Entries are in document order, so the last one containing the link is the innermost.
+      const item = this._getMenuItems()
+        .filter((candidate) => candidate.el.contains(el))
+        .pop();
+      if (!item) return; // Not an entry of the deck: let the browser follow the link.
+
+      e.preventDefault();
+      this._onUserInteraction();
+      this.log(`Menu entry clicked. Navigating to section ${item.section}.`);
+
+      if (item.depth < 2) {
+        this.goToSection(item.section);
+      } else {
+        this.goTo(item.section, item.slide, item.subSlide);
+      }
     }
 
     /**
      * Updates all visual elements (classes, arrows, slide pagination)
      * within the current section to reflect the active slide index.
      * @private
+     * @param {{from: number, direction: string}|null} [wrap=null] - Set for a seamless ('infinite') wrap-around.
      */
-    _updateActiveSlide() {
+    _updateActiveSlide(wrap = null) {
       const section = this.sectionData[this.currentIndex];
       if (!section) return; // Exit if the section data is not available.
 
@@ -1235,39 +6306,312 @@
 
       // 1. Update Slide Classes (Active and Previous)
       if (slidesCount > 0) {
-        slides.forEach((slide, i) => {
-          // Optimization: Use a single classList.remove()
-          slide.el.classList.remove(
-            this.opts.slideActiveClass,
-            this.opts.slidePrevClass
-          );
-
-          if (i < slideIndex) {
-            slide.el.classList.add(this.opts.slidePrevClass);
-          } else if (i === slideIndex) {
-            slide.el.classList.add(this.opts.slideActiveClass);
-          }
-        });
+        if (wrap) {
+          this._wrapSlides(section, wrap.from, slideIndex, wrap.direction);
+        } else {
+          this._applySlideClasses(section, slideIndex);
+        }
 
         // 2. Toggle Slide Arrows visibility (Debounce limits)
-        // Removed console.log for clean code
-        const isAtStart = slideIndex === 0;
-        const isAtEnd = slideIndex === slidesCount - 1;
+        // With slide looping, both arrows stay visible at the ends.
+        const isAtStart = slideIndex === 0 && !section.slideLoop;
+        const isAtEnd = slideIndex === slidesCount - 1 && !section.slideLoop;
 
         // Use nullish chaining and direct class manipulation
         section.arrowLeft?.classList.toggle("sr-arrow-hidden", isAtStart);
         section.arrowRight?.classList.toggle("sr-arrow-hidden", isAtEnd);
 
+        slides.forEach((slide, i) =>
+          this._setHidden(slide.el, i !== slideIndex)
+        );
+
         // 3. Update Slide Pagination Dots
         section.slidePagination
-          ?.querySelectorAll(".sr-slide-dot")
+          ?.querySelectorAll(":scope > li > .sr-slide-dot")
           ?.forEach((dotLink, i) =>
-            dotLink.classList.toggle("sr-slide-dot-active", i === slideIndex)
+            this._setDotState(dotLink, "sr-slide-dot-active", i === slideIndex)
           );
+
+        // 4. Update the vertical stacks of every slide (each keeps its own position).
+        slides.forEach((slide) => this._applySubSlideClasses(section, slide));
+      }
+
+      // 5. Load nearby media and play/pause media entering/leaving the view.
+      this._updateMedia();
+
+      // 5b. Highlight the current entries of the bound menu.
+      this._updateMenu();
+
+      // 5c. Update the counter and the progress bar.
+      this._updateProgress();
+
+      // 6. Update URL (through the router)
+      this._updateRoute();
+
+      // 7. Save the state, if persisted.
+      this._saveState();
+    }
+
+    /**
+     * Applies the regular slide classes: slides before the active one get the
+     * previous class, the active one gets the active class.
+     * @private
+     * @param {object} section - The internal data object of the section.
+     * @param {number} [slideIndex] - The active slide index; defaults to the section's current one.
+     */
+    _applySlideClasses(
+      section,
+      slideIndex = this.currentSlideIndices[section.index] ?? 0
+    ) {
+      section.slides.forEach((slide, i) => {
+        // Optimization: Use a single classList.remove()
+        slide.el.classList.remove(
+          this.opts.slideActiveClass,
+          this.opts.slidePrevClass
+        );
+
+        if (i < slideIndex) {
+          slide.el.classList.add(this.opts.slidePrevClass);
+        } else if (i === slideIndex) {
+          slide.el.classList.add(this.opts.slideActiveClass);
+        }
+      });
+    }
+
+    /**
+     * Applies the sub-slide classes and pagination state of a slide: sub-slides before
+     * the active one get the previous class, the active one gets the active class.
+     * @private
+     * @param {object} section - The internal data object of the section.
+     * @param {object} slide - The internal data object of the slide.
+     */
+    _applySubSlideClasses(section, slide) {
+      if (slide.subSlides.length === 0) return;
+
+      const { subSlideActiveClass, subSlidePrevClass } = this.opts;
+      const subSlideIndex = this._getSubSlideIndex(section.index, slide.index);
+
+      // Only the stack of the visible slide exposes its active sub-slide; the stacks of
+      // off-screen slides and sections stay hidden as a whole.
+      const isSectionVisible =
+        section.index === this.currentIndex || this._isResponsive;
+      const isSlideVisible =
+        isSectionVisible &&
+        slide.index === (this.currentSlideIndices[section.index] ?? 0);
+
+      slide.subSlides.forEach((subSlide, i) => {
+        subSlide.el.classList.remove(subSlideActiveClass, subSlidePrevClass);
+        this._setHidden(subSlide.el, !isSlideVisible || i !== subSlideIndex);
+
+        if (i < subSlideIndex) {
+          subSlide.el.classList.add(subSlidePrevClass);
+        } else if (i === subSlideIndex) {
+          subSlide.el.classList.add(subSlideActiveClass);
+        }
+      });
+
+      slide.subSlidePagination
+        ?.querySelectorAll(".sr-sub-dot")
+        ?.forEach((dotLink, i) =>
+          this._setDotState(dotLink, "sr-sub-dot-active", i === subSlideIndex)
+        );
+    }
+
+    /**
+     * Runs a class update on the slides of a section with transitions disabled,
+     * so that slides jump to their new positions without animating.
+     * @private
+     * @param {object} section - The internal data object of the section.
+     * @param {Function} update - The update to run; receives the section.
+     * @param {number} [exceptIndex=-1] - A slide that keeps its transition (e.g., the outgoing slide).
+     */
+    _placeSlides(section, update, exceptIndex = -1) {
+      const movable = section.slides.filter((_, i) => i !== exceptIndex);
+
+      movable.forEach((slide) =>
+        slide.el.classList.add("sr-slide-no-transition")
+      );
+      update.call(this, section);
+
+      // Force a reflow so the new positions apply before transitions are restored.
+      void section.el.offsetWidth;
+      movable.forEach((slide) =>
+        slide.el.classList.remove("sr-slide-no-transition")
+      );
+    }
+
+    /**
+     * Performs a seamless wrap-around between the last and first slides ('infinite' mode).
+     * The incoming slide is first placed on the side it enters from, then the outgoing and
+     * incoming slides animate in the same direction as regular navigation would.
+     * @private
+     * @param {object} section - The internal data object of the section.
+     * @param {number} from - The index of the outgoing slide.
+     * @param {number} to - The index of the incoming slide.
+     * @param {'forward'|'backward'} direction - The direction of the movement.
+     */
+    _wrapSlides(section, from, to, direction) {
+      const { slideActiveClass, slidePrevClass } = this.opts;
+      const isForward = direction === "forward";
+
+      // 1. Instantly move every slide but the outgoing one: the incoming slide to its
+      // entry side (right when moving forward, left when moving backward), the others
+      // to their final positions.
+      this._placeSlides(
+        section,
+        () => {
+          section.slides.forEach((slide, i) => {
+            if (i === from) return;
+
+            slide.el.classList.remove(slideActiveClass, slidePrevClass);
+            const isBefore = i === to ? !isForward : i < to;
+            if (isBefore) slide.el.classList.add(slidePrevClass);
+          });
+        },
+        from
+      );
+
+      // 2. Animate: the outgoing slide leaves on the opposite side, the incoming one becomes active.
+      const outgoing = section.slides[from].el;
+      outgoing.classList.remove(slideActiveClass);
+      outgoing.classList.toggle(slidePrevClass, isForward);
+
+      const incoming = section.slides[to].el;
+      incoming.classList.remove(slidePrevClass);
+      incoming.classList.add(slideActiveClass);
+    }
+
+    /**
+     * Normalizes a slide loop setting from an option or a `data-sr-slide-loop` attribute.
+     * @private
+     * @param {boolean|string} value - The raw setting.
+     * @returns {boolean|'infinite'} The normalized setting.
+     */
+    _parseSlideLoop(value) {
+      if (value === "infinite") return "infinite";
+      return value === true || value === "true" || value === "";
+    }
+
+    /**
+     * Drives the media lifecycle for the current position: loads deferred sources
+     * nearby, runs the `mediaOnLeave` action on media that left the view, and plays
+     * media marked with `data-sr-media-autoplay` that entered it.
+     * @private
+     */
+    _updateMedia() {
+      // 1. Swap in deferred sources around the current position.
+      if (this.opts.lazyLoad) this._loadNearbyMedia();
+
+      // 2. Compare the media in view with the media that was in view before.
+      const active = new Set(
+        Array.from(this.container.querySelectorAll(MEDIA_SELECTOR)).filter(
+          (el) => this._isMediaActive(el)
+        )
+      );
+
+      if (this.opts.mediaOnLeave !== "none") {
+        this._activeMedia.forEach((el) => {
+          if (!active.has(el)) controlMedia(el, this.opts.mediaOnLeave);
+        });
+      }
+
+      active.forEach((el) => {
+        if (!this._activeMedia.has(el) && this._isMediaAutoplay(el)) {
+          this.log("Media: autoplaying", el);
+          controlMedia(el, "play");
+        }
+      });
+
+      this._activeMedia = active;
+    }
+
+    /**
+     * Tells whether a media element plays when its view is entered: `data-sr-media-autoplay`
+     * is present and not set to 'false'.
+     * @private
+     * @param {HTMLElement} el - The media element.
+     * @returns {boolean} True if the element autoplays.
+     */
+    _isMediaAutoplay(el) {
+      return (
+        el.hasAttribute("data-sr-media-autoplay") &&
+        el.dataset.srMediaAutoplay !== "false"
+      );
+    }
+
+    /**
+     * Loads the deferred sources of the current section and slide, and of up to
+     * `lazyLoadNeighbours` sections and slides on each side.
+     * @private
+     */
+    _loadNearbyMedia() {
+      const range = Math.max(0, this.opts.lazyLoadNeighbours);
+      const first = Math.max(0, this.currentIndex - range);
+      const last = Math.min(
+        this.sectionData.length - 1,
+        this.currentIndex + range
+      );
+
+      for (let i = first; i <= last; i++) {
+        const section = this.sectionData[i];
+
+        // 1. Content outside of the slides belongs to the section itself.
+        this._loadDeferredSources(section.el, section.slides.length > 0);
+
+        // 2. Slides around the one the section shows (the same range on each side).
+        const slideIndex = this.currentSlideIndices[i] ?? 0;
+        section.slides
+          .filter((slide) => Math.abs(slide.index - slideIndex) <= range)
+          .forEach((slide) => this._loadDeferredSources(slide.el));
       }
+    }
+
+    /**
+     * Moves `data-src`/`data-srcset` into `src`/`srcset` for every deferred element
+     * within a root element, reloading the parent `<video>`/`<audio>` of `<source>` elements.
+     * @private
+     * @param {HTMLElement} root - The section or slide element.
+     * @param {boolean} [skipSlides=false] - True to leave elements inside slides alone.
+     */
+    _loadDeferredSources(root, skipSlides = false) {
+      root.querySelectorAll(LAZY_SELECTOR).forEach((el) => {
+        if (skipSlides && el.closest(this.opts.slideSelector)) return;
+
+        if (el.dataset.srcset) {
+          el.srcset = el.dataset.srcset;
+          el.removeAttribute("data-srcset");
+        }
+        if (el.dataset.src) {
+          el.src = el.dataset.src;
+          el.removeAttribute("data-src");
+        }
+
+        if (el.tagName === "SOURCE" && el.parentElement?.load) {
+          el.parentElement.load();
+        }
+        this.log("Media: loaded deferred source", el);
+      });
+    }
 
-      // 4. Update URL Hash
-      this._updateURLHash();
+    /**
+     * Checks whether a media element is in view: inside the active section, and inside
+     * its active slide and sub-slide when it belongs to one.
+     * @private
+     * @param {HTMLElement} el - The media element.
+     * @returns {boolean} True if the element is in view.
+     */
+    _isMediaActive(el) {
+      const section = this.sectionData[this.currentIndex];
+      if (!section?.el.contains(el)) return false;
+
+      const slide =
+        section.slides[this.currentSlideIndices[this.currentIndex] ?? 0];
+      const slideEl = el.closest(this.opts.slideSelector);
+      if (slideEl && slideEl !== slide?.el) return false;
+
+      const subSlideEl = el.closest(this.opts.subSlideSelector);
+      const subSlide = slide?.subSlides[this._getSubSlideIndex()];
+      return !subSlideEl || subSlideEl === subSlide?.el;
     }
   }
 
@@ -1289,8 +6633,15 @@
           // Convert data-attribute-key to JavaScript option key (e.g., 'data-sr-loop' to 'srLoop')
           const camelCaseKey = key.replace(/-(\w)/g, (_, c) => c.toUpperCase());
 
-          // 3. Process only valid options, excluding 'slideHashes' (too complex for data attributes)
-          if (camelCaseKey in DEFAULTS && camelCaseKey !== "slideHashes") {
+          // 3. Process only valid options, excluding 'slideHashes', 'labels', 'keymap' and the render hooks (too complex for data attributes)
+          if (
+            camelCaseKey in DEFAULTS &&
+            camelCaseKey !== "slideHashes" &&
+            camelCaseKey !== "labels" &&
+            camelCaseKey !== "keymap" &&
+            camelCaseKey !== "renderBullet" &&
+            camelCaseKey !== "renderSlideBullet"
+          ) {
             let val = el.dataset[key];
 
             // --- Type Conversion Logic ---
@@ -1302,7 +6653,11 @@
               val = false;
             }
             // Convert comma-separated string to Array
-            else if (camelCaseKey === "sectionTitles") {
+            else if (
+              camelCaseKey === "sectionTitles" ||
+              camelCaseKey === "routerParams" ||
+              camelCaseKey === "overviewKeys"
+            ) {
               val = val.split(",").map((s) => s.trim());
             }
             // Convert strings that represent valid numbers
@@ -1324,6 +6679,9 @@
     });
   }
 
+  // Expose the built-in router factories so custom adapters can wrap them.
+  SnapRoll.routers = ROUTERS;
+
   // Expose the SnapRoll class to the global scope (e.g., window object)
   global.SnapRoll = SnapRoll;
 
@@ -1,70 +1,478 @@
+export interface SnapRollRouter {
+  /** Segments in the current URL, `[]` if none, or `null` if the URL does not belong to the deck */
+  read(): string[] | null;
+  /** Writes the segments to the URL */
+  write(segments: string[], options: { replace: boolean }): void;
+  /** Calls `callback` when the URL changes outside of SnapRoll; returns an unsubscribe function */
+  listen?(callback: () => void): () => void;
+}
+
+/** Where the `persist` option saves the state; `localStorage` and `sessionStorage` qualify */
+export interface SnapRollStorage {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem?(key: string): void;
+}
+
+/** A label template with `{index}`, `{total}` and `{title}` placeholders, or a function building the label */
+export type SnapRollLabel =
+  | string
+  | ((values: { index?: number; total?: number; title?: string }) => string);
+
+export interface SnapRollLabels {
+  section?: SnapRollLabel;
+  slide?: SnapRollLabel;
+  subSlide?: SnapRollLabel;
+  carousel?: SnapRollLabel;
+  slideRole?: SnapRollLabel;
+  sectionPagination?: SnapRollLabel;
+  slidePagination?: SnapRollLabel;
+  subSlidePagination?: SnapRollLabel;
+  sectionDot?: SnapRollLabel;
+  slideDot?: SnapRollLabel;
+  subSlideDot?: SnapRollLabel;
+  prevSlide?: SnapRollLabel;
+  nextSlide?: SnapRollLabel;
+  playAutoplay?: SnapRollLabel;
+  pauseAutoplay?: SnapRollLabel;
+  sectionAnnouncement?: SnapRollLabel;
+  slideAnnouncement?: SnapRollLabel;
+  subSlideAnnouncement?: SnapRollLabel;
+}
+
+/** What the `enter` and `leave` functions of a registered animation receive */
+export interface SnapRollAnimationContext {
+  /** The element being animated */
+  el: HTMLElement;
+  /** The leaving section or slide */
+  from: HTMLElement | null;
+  /** The entering section or slide */
+  to: HTMLElement;
+  direction: SnapRollDirection;
+  type: "section" | "slide";
+  instance: SnapRoll;
+}
+
+export type SnapRollKeyframes = Keyframe[] | PropertyIndexedKeyframes;
+
+/** A JavaScript animation driven by `Element.animate()` */
+export interface SnapRollAnimation {
+  enter?:
+    | SnapRollKeyframes
+    | ((context: SnapRollAnimationContext) => SnapRollKeyframes | null);
+  leave?:
+    | SnapRollKeyframes
+    | ((context: SnapRollAnimationContext) => SnapRollKeyframes | null);
+  /** In ms; defaults to `scrollTimeout` (sections) or `slideScrollTimeout` (slides) */
+  duration?: number;
+  easing?: string;
+}
+
+/** Built-in contents of pagination buttons */
+export type SnapRollPaginationType =
+  "dots" | "numbers" | "labels" | "thumbnails";
+
+/** What pagination render hooks receive about a section or slide */
+export interface SnapRollBulletItem {
+  el: HTMLElement;
+  index: number;
+  hash: string | null;
+  title: string;
+}
+
+/** Built-in keyboard actions */
+export type SnapRollKeyAction =
+  | "next"
+  | "prev"
+  | "nextSection"
+  | "prevSection"
+  | "nextSlide"
+  | "prevSlide"
+  | "nextSubSlide"
+  | "prevSubSlide"
+  | "first"
+  | "last"
+  | "jump"
+  | "overview";
+
+export type SnapRollKeyHandler = (
+  instance: SnapRoll,
+  event: KeyboardEvent
+) => unknown;
+
 export interface SnapRollOptions {
   container?: string | HTMLElement;
   sectionSelector?: string;
   activeClass?: string;
   prevClass?: string;
-  sectionAnimation?: "slide" | "fade" | "zoom" | "flip" | "skew" | "rotate";
+  /** A built-in animation, or a name given to `SnapRoll.registerAnimation()` */
+  sectionAnimation?:
+    "slide" | "fade" | "zoom" | "flip" | "skew" | "rotate" | (string & {});
   keyboard?: boolean;
+  /** Which instance handles page-wide keys when several share the page */
+  keyboardScope?: "window" | "container" | "visible";
+  /** Key combinations (e.g., 'Shift+Space') mapped to actions; `null` unbinds a default */
+  keymap?: Record<string, SnapRollKeyAction | SnapRollKeyHandler | null>;
   loop?: boolean;
   scrollTimeout?: number;
   slideScrollTimeout?: number;
+  navigationQueue?: "none" | "queue" | "latest";
+  /** Gives sections, slides and sub-slides taller than the viewport a managed scroll area */
+  scrollOverflow?: boolean;
+  styledScrollbars?: boolean;
   touchThreshold?: number;
+  drag?: boolean;
+  mouseDrag?: boolean;
+  /** Release velocity (px/ms) above which a short drag navigates */
+  flickVelocity?: number;
+  /** Damping past the first or last item, from 0 (none) to 1 (no movement) */
+  edgeResistance?: number;
   wheelDeltaThreshold?: number;
   wheelGestureEndDelay?: number;
+  /** Multiplier applied to wheel deltas; higher values need less wheel travel */
+  wheelSensitivity?: number;
   pageTitle?: string;
   sectionTitles?: string[];
   slideHashes?: Record<number, string[]>;
   pagination?: boolean;
   paginationPosition?: "right" | "left" | "top" | "bottom";
+  paginationType?: SnapRollPaginationType;
+  /** Shows the title of a section or slide in a tooltip on hover and focus */
+  paginationTooltips?: boolean;
+  /** Builds the content of a section pagination button (HTML or an element) */
+  renderBullet?:
+    | ((section: SnapRollBulletItem, index: number) => string | Node | null)
+    | null;
+  counter?: boolean;
+  /** Counter text with `{current}`, `{total}`, `{percent}`, `{section}`, `{sections}`, `{slide}`, `{slides}` and `{subSlide}` placeholders */
+  counterFormat?:
+    | string
+    | ((values: {
+        current: number;
+        total: number;
+        percent: number;
+        section: number;
+        sections: number;
+        slide: number;
+        slides: number;
+        subSlide: number;
+      }) => string);
+  progressBar?: boolean;
+  /** An existing navigation menu whose entries navigate the deck and follow its position */
+  menu?: string | HTMLElement | null;
+  menuActiveClass?: string;
   hashSeparator?: string;
+  hashPrefix?: string;
+  autoSlugs?: boolean;
+  router?: "hash" | "query" | "path" | SnapRollRouter;
+  /** Keeps this deck's URL state apart from other decks on the page */
+  namespace?: string;
+  routerBase?: string;
+  routerParams?: [string, string, string?];
+  history?: "replace" | "push" | "none";
+  historyCoalesceDelay?: number;
+  /** Saves the state on every change and restores it on load when the URL holds no position */
+  persist?: "session" | "local" | SnapRollStorage | null;
+  persistKey?: string;
   slideSelector?: string;
-  slideAnimation?: "slide" | "fade" | "zoom" | "flip" | "skew" | "rotate";
+  slideAnimation?:
+    "slide" | "fade" | "zoom" | "flip" | "skew" | "rotate" | (string & {});
   slideActiveClass?: string;
   slidePrevClass?: string;
+  slideLoop?: boolean | "infinite";
   slideArrows?: boolean;
   slidePagination?: boolean;
   slidePaginationPosition?: "bottom" | "top";
+  slidePaginationType?: SnapRollPaginationType;
+  /** Builds the content of a slide pagination button (HTML or an element) */
+  renderSlideBullet?:
+    | ((
+        slide: SnapRollBulletItem,
+        index: number,
+        section: SnapRollBulletItem
+      ) => string | Node | null)
+    | null;
+  subSlideSelector?: string;
+  subSlideActiveClass?: string;
+  subSlidePrevClass?: string;
+  subSlidePagination?: boolean;
+  autoplay?: boolean;
+  autoplayDelay?: number;
+  autoplayPauseOnHover?: boolean;
+  autoplayPauseOnFocus?: boolean;
+  autoplayResumeDelay?: number;
+  autoplayControls?: boolean;
+  autoplayProgress?: boolean;
+  responsiveWidth?: number;
+  responsiveHeight?: number;
+  responsiveQuery?: string;
+  /** Updates the deck when sections, slides or sub-slides are added to or removed from the container */
+  observe?: boolean;
+  lazyLoad?: boolean;
+  lazyLoadNeighbours?: number;
+  mediaOnLeave?: "pause" | "reset" | "none";
+  focusOnNavigate?: "none" | "heading" | "focusable";
+  overviewKeys?: string[];
+  labels?: SnapRollLabels;
   debug?: boolean;
 }
 
+export type SnapRollDirection = "forward" | "backward";
+
+export interface SnapRollSectionChangeDetail {
+  from: number;
+  to: number;
+  fromHash: string | null;
+  toHash: string | null;
+  direction: SnapRollDirection;
+  instance: SnapRoll;
+}
+
+export interface SnapRollSlideChangeDetail {
+  section: number;
+  from: number;
+  to: number;
+  fromHash: string | null;
+  toHash: string | null;
+  direction: SnapRollDirection;
+  instance: SnapRoll;
+}
+
+export interface SnapRollSubSlideChangeDetail {
+  section: number;
+  slide: number;
+  from: number;
+  to: number;
+  fromHash: string | null;
+  toHash: string | null;
+  direction: SnapRollDirection;
+  instance: SnapRoll;
+}
+
+/** A position in the section → slide → sub-slide tree (zero-based indices) */
+export interface SnapRollPosition {
+  section: number;
+  slide: number;
+  subSlide: number;
+}
+
+/** The position in the flattened deck, where sections, slides and sub-slides form one sequence */
+export interface SnapRollProgress {
+  /** Zero-based linear index */
+  index: number;
+  /** 1-based linear index */
+  current: number;
+  total: number;
+  /** From 0 (first position) to 1 (last position) */
+  ratio: number;
+}
+
+/** A snapshot of the deck returned by `getState()` */
+export interface SnapRollState {
+  /** Format version; states of another version are ignored */
+  version: number;
+  /** The deck structure the state was taken from; states of another structure are ignored */
+  structure: string;
+  section: number;
+  /** The slide index of every section */
+  slides: number[];
+  /** The sub-slide index of every slide of every section */
+  subSlides: number[][];
+  hashes: {
+    section: string | null;
+    slide: string | null;
+    subSlide: string | null;
+  };
+  responsive: boolean;
+  overview: boolean;
+  playing: boolean;
+}
+
+export interface SnapRollEventMap {
+  init: { index: number; slideIndex: number; instance: SnapRoll };
+  refresh: { sections: number; instance: SnapRoll };
+  beforeSectionChange: SnapRollSectionChangeDetail;
+  afterSectionChange: SnapRollSectionChangeDetail;
+  beforeSlideChange: SnapRollSlideChangeDetail;
+  afterSlideChange: SnapRollSlideChangeDetail;
+  beforeSubSlideChange: SnapRollSubSlideChangeDetail;
+  afterSubSlideChange: SnapRollSubSlideChangeDetail;
+  overviewEnter: { section: number; slide: number; instance: SnapRoll };
+  overviewLeave: { section: number; slide: number; instance: SnapRoll };
+  modeChange: {
+    mode: "snap" | "scroll";
+    responsive: boolean;
+    instance: SnapRoll;
+  };
+  destroy: { instance: SnapRoll };
+}
+
+/**
+ * Return `false` from a `before*` handler to veto the navigation,
+ * or assign `detail.to` to redirect it. Positions restored from the URL
+ * (Back/Forward) or by `setState()` without `animate` cannot be vetoed.
+ */
+export type SnapRollEventHandler<K extends keyof SnapRollEventMap> = (
+  detail: SnapRollEventMap[K]
+) => boolean | void;
+
 export default class SnapRoll {
   constructor(options?: SnapRollOptions);
 
+  /** Built-in router factories, usable as a base for custom adapters */
+  static routers: Record<
+    "hash" | "query" | "path",
+    (options: SnapRollOptions) => SnapRollRouter
+  >;
+
+  /** Registers a JavaScript animation for sections and slides; returns false if the definition is invalid */
+  static registerAnimation(
+    name: string,
+    definition: SnapRollAnimation
+  ): boolean;
+
+  /** The router adapter in use */
+  router: SnapRollRouter;
+
+  /** Registers a lifecycle event handler */
+  on<K extends keyof SnapRollEventMap>(
+    event: K,
+    handler: SnapRollEventHandler<K>
+  ): this;
+
+  /** Removes a handler (or every handler of the event if none is given) */
+  off<K extends keyof SnapRollEventMap>(
+    event: K,
+    handler?: SnapRollEventHandler<K>
+  ): this;
+
+  /** Registers a handler that runs only once */
+  once<K extends keyof SnapRollEventMap>(
+    event: K,
+    handler: SnapRollEventHandler<K>
+  ): this;
+
+  /** Binds a key combination to an action (`null` unbinds it) */
+  bindKey(
+    combo: string,
+    action: SnapRollKeyAction | SnapRollKeyHandler | null
+  ): this;
+
+  /** Removes the binding of a key combination */
+  unbindKey(combo: string): this;
+
   /** Initializes or restarts the instance by scanning the DOM */
   init(): void;
 
   /** Rescans the DOM (for dynamic changes) */
   refresh(): void;
 
+  /** Inserts a section (appended if no index is given); returns it, or null if it does not match `sectionSelector` */
+  addSection(
+    elOrHtml: HTMLElement | string,
+    index?: number
+  ): HTMLElement | null;
+
+  /** Removes a section, keeping the current position */
+  removeSection(index: number): boolean;
+
+  /** Inserts a slide into a section (appended if no index is given); returns it, or null if it is unusable */
+  addSlide(
+    sectionIndex: number,
+    elOrHtml: HTMLElement | string,
+    index?: number
+  ): HTMLElement | null;
+
+  /** Removes a slide from a section, keeping the current position */
+  removeSlide(sectionIndex: number, index: number): boolean;
+
   /** Destroys the instance (cleans up listeners and UI) */
   destroy(): void;
 
-  /** Navigates to the next section or slide */
-  next(): void;
+  /** Whether snapping is suspended in favour of plain document scrolling */
+  isResponsive(): boolean;
+
+  /** Starts or resumes autoplay */
+  play(): void;
+
+  /** Pauses autoplay */
+  pause(): void;
 
-  /** Navigates to the previous section or slide */
-  prev(): void;
+  /** Toggles autoplay; returns true if it is now playing */
+  toggle(): boolean;
+
+  /** Whether autoplay is enabled and not manually paused */
+  isPlaying(): boolean;
+
+  /** Shows or hides the zoomed-out overview grid; returns true if it is now shown */
+  toggleOverview(force?: boolean): boolean;
+
+  /** Whether the overview grid is shown */
+  isOverview(): boolean;
+
+  /**
+   * Navigates to the next sub-slide, slide or section.
+   * Like every navigation method, resolves once the transition has finished,
+   * with `false` if no navigation happened.
+   */
+  next(): Promise<boolean>;
+
+  /** Navigates to the previous sub-slide, slide or section */
+  prev(): Promise<boolean>;
+
+  /** Navigates to any position of the deck */
+  goTo(section: number, slide?: number, subSlide?: number): Promise<boolean>;
+
+  /** Returns the current position */
+  getPosition(): SnapRollPosition;
+
+  /** Returns the position in the flattened deck */
+  getProgress(): SnapRollProgress;
+
+  /** Returns the zero-based index of the current position in the flattened deck */
+  getLinearIndex(): number;
+
+  /** Navigates to a position of the flattened deck */
+  goToLinear(index: number): Promise<boolean>;
+
+  /** Returns a snapshot of the position of every section and slide, and of the mode flags */
+  getState(): SnapRollState;
+
+  /** Restores a snapshot from `getState()`; resolves with `false` if it does not match the deck */
+  setState(
+    state: SnapRollState,
+    options?: { animate?: boolean }
+  ): Promise<boolean>;
 
   /** Navigates to a specific section */
-  goToSection(index: number, landOnLastSlide?: boolean): void;
+  goToSection(index: number, landOnLastSlide?: boolean): Promise<boolean>;
 
   /** Navigates to a specific slide within the current section */
-  goToSlide(index: number): void;
+  goToSlide(index: number): Promise<boolean>;
 
   /** Alias for goToSection */
-  scrollTo(index: number): void;
+  scrollTo(index: number): Promise<boolean>;
 
   /** Navigates to the next section */
-  nextSection(): void;
+  nextSection(): Promise<boolean>;
 
   /** Navigates to the previous section */
-  prevSection(): void;
+  prevSection(): Promise<boolean>;
+
+  /** Navigates to the next slide (wrapping around if slide looping is enabled) */
+  nextSlide(): Promise<boolean>;
+
+  /** Navigates to the previous slide (wrapping around if slide looping is enabled) */
+  prevSlide(): Promise<boolean>;
+
+  /** Navigates to a specific sub-slide within the current slide */
+  goToSubSlide(index: number): Promise<boolean>;
 
-  /** Navigates to the next slide */
-  nextSlide(): void;
+  /** Navigates to the next sub-slide of the current slide */
+  nextSubSlide(): Promise<boolean>;
 
-  /** Navigates to the previous slide */
-  prevSlide(): void;
+  /** Navigates to the previous sub-slide of the current slide */
+  prevSubSlide(): Promise<boolean>;
 }
 
 declare global {
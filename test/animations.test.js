@@ -0,0 +1,231 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DECK, createWindow } = require("./helpers");
+
+/**
+ * Replaces `Element.animate()` of a window with a stub recording its calls. Each animation
+ * finishes when the test calls its `finish()`, or at once with `{ instant: true }`.
+ * @param {Window} window - The window to patch.
+ * @param {object} [options={}]
+ * @param {boolean} [options.instant=false] - True to finish every animation right away.
+ * @returns {Array<object>} The recorded calls: `el`, `keyframes`, `timing`, `finish()` and `cancelled`.
+ */
+function stubAnimate(window, { instant = false } = {}) {
+  const calls = [];
+  window.Element.prototype.animate = function (keyframes, timing) {
+    const call = { el: this, keyframes, timing, cancelled: false };
+    const finished = new Promise((resolve, reject) => {
+      call.finish = resolve;
+      call.cancel = () => {
+        call.cancelled = true;
+        reject(new Error("AbortError"));
+      };
+    });
+    if (instant) call.finish();
+    calls.push(call);
+    return { finished, cancel: () => call.cancel() };
+  };
+  return calls;
+}
+
+/**
+ * Creates a deck in a window where `Element.animate()` is stubbed before the deck starts.
+ * @param {import('node:test').TestContext} t - The test context.
+ * @param {object} [options={}] - The SnapRoll options.
+ * @param {object} [setup={}]
+ * @param {object} [setup.animate={}] - The options of stubAnimate().
+ * @param {Function} [setup.register] - Registers animations on the window's SnapRoll.
+ * @param {string} [setup.body=DECK] - The markup of the page body.
+ * @returns {{window: Window, deck: object, calls: Array<object>}}
+ */
+function createAnimatedDeck(
+  t,
+  options = {},
+  { animate = {}, register = () => {}, body = DECK } = {}
+) {
+  const window = createWindow({ body });
+  const calls = stubAnimate(window, animate);
+  register(window.SnapRoll);
+
+  const deck = new window.SnapRoll({
+    container: "#deck",
+    scrollTimeout: 10,
+    slideScrollTimeout: 10,
+    ...options,
+  });
+  t.after(() => {
+    deck.destroy();
+    window.close();
+  });
+  return { window, deck, calls };
+}
+
+const FADE = {
+  enter: [{ opacity: 0 }, { opacity: 1 }],
+  leave: [{ opacity: 1 }, { opacity: 0 }],
+  duration: 300,
+  easing: "linear",
+};
+
+test("registerAnimation() requires a name and keyframes", (t) => {
+  const window = createWindow();
+  t.after(() => window.close());
+  const warn = t.mock.method(console, "warn", () => {});
+  const { SnapRoll } = window;
+
+  assert.equal(SnapRoll.registerAnimation("", FADE), false);
+  assert.equal(SnapRoll.registerAnimation("spin", {}), false);
+  assert.equal(SnapRoll.registerAnimation("spin", { enter: null }), false);
+  assert.equal(warn.mock.callCount(), 3);
+
+  assert.equal(SnapRoll.registerAnimation("spin", { enter: () => null }), true);
+  assert.equal(SnapRoll.registerAnimation("fade-in", FADE), true);
+});
+
+test("sections animate with their registered animation", async (t) => {
+  const { window, deck, calls } = createAnimatedDeck(
+    t,
+    { sectionAnimation: "glow" },
+    {
+      animate: { instant: true },
+      register: (SnapRoll) => SnapRoll.registerAnimation("glow", FADE),
+    }
+  );
+  const sections = window.document.querySelectorAll(".sr-sec");
+
+  assert.ok(sections[0].classList.contains("sr-anim-glow"));
+
+  assert.equal(await deck.next(), true);
+  assert.deepEqual(
+    calls.map(({ el, keyframes }) => [el, keyframes]),
+    [
+      [sections[0], FADE.leave],
+      [sections[1], FADE.enter],
+    ]
+  );
+  assert.deepEqual({ ...calls[1].timing }, { duration: 300, easing: "linear" });
+});
+
+test("keyframe functions receive the transition context", async (t) => {
+  const contexts = [];
+  const { window, deck } = createAnimatedDeck(
+    t,
+    { slideAnimation: "push" },
+    {
+      animate: { instant: true },
+      register: (SnapRoll) =>
+        SnapRoll.registerAnimation("push", {
+          enter: (context) => {
+            contexts.push(context);
+            return [{ opacity: 0 }, { opacity: 1 }];
+          },
+        }),
+    }
+  );
+  const slides = window.document.querySelectorAll(".sr-slide");
+  await deck.goToSection(1);
+
+  await deck.goToSlide(1);
+
+  assert.equal(contexts.length, 1);
+  const [context] = contexts;
+  assert.equal(context.el, slides[1]);
+  assert.equal(context.from, slides[0]);
+  assert.equal(context.to, slides[1]);
+  assert.equal(context.direction, "forward");
+  assert.equal(context.type, "slide");
+  assert.equal(context.instance, deck);
+});
+
+test("navigation resolves once the entering animation has finished", async (t) => {
+  const { deck, calls } = createAnimatedDeck(
+    t,
+    { sectionAnimation: "glow", scrollTimeout: 5000 },
+    { register: (SnapRoll) => SnapRoll.registerAnimation("glow", FADE) }
+  );
+  let resolved = false;
+
+  const navigation = deck.next().then((result) => {
+    resolved = true;
+    return result;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(resolved, false);
+
+  calls.forEach((call) => call.finish());
+  assert.equal(await navigation, true);
+});
+
+test("data-sr-duration and data-sr-easing override the timing of sections and slides", async (t) => {
+  const body = DECK.replace(
+    'data-sr-hash="projects"',
+    'data-sr-hash="projects" data-sr-duration="900" data-sr-easing="ease-out"'
+  ).replace('data-sr-hash="b"', 'data-sr-hash="b" data-sr-duration="120"');
+  const { window, deck, calls } = createAnimatedDeck(
+    t,
+    { sectionAnimation: "glow", slideAnimation: "glow" },
+    {
+      body,
+      animate: { instant: true },
+      register: (SnapRoll) => SnapRoll.registerAnimation("glow", FADE),
+    }
+  );
+  const section = window.document.querySelector('[data-sr-hash="projects"]');
+
+  assert.equal(section.style.transitionDuration, "900ms");
+  assert.equal(section.style.transitionTimingFunction, "ease-out");
+
+  await deck.goToSection(1);
+  assert.deepEqual(
+    { ...calls.at(-1).timing },
+    { duration: 900, easing: "ease-out" }
+  );
+
+  await deck.goToSlide(1);
+  assert.deepEqual(
+    { ...calls.at(-1).timing },
+    { duration: 120, easing: "linear" }
+  );
+
+  deck.destroy();
+  assert.equal(section.style.transitionDuration, "");
+  assert.equal(section.style.transitionTimingFunction, "");
+});
+
+test("without Element.animate(), the CSS classes take over", async (t) => {
+  const window = createWindow();
+  window.SnapRoll.registerAnimation("glow", FADE);
+  const deck = new window.SnapRoll({
+    container: "#deck",
+    sectionAnimation: "glow",
+    scrollTimeout: 10,
+  });
+  t.after(() => {
+    deck.destroy();
+    window.close();
+  });
+
+  assert.ok(
+    window.document.querySelector(".sr-sec").classList.contains("sr-anim-glow")
+  );
+  assert.equal(await deck.next(), true);
+});
+
+test("destroy() cancels running animations and removes the animation classes", async (t) => {
+  const { window, deck, calls } = createAnimatedDeck(
+    t,
+    { sectionAnimation: "glow", scrollTimeout: 5000 },
+    { register: (SnapRoll) => SnapRoll.registerAnimation("glow", FADE) }
+  );
+
+  const navigation = deck.next();
+  deck.destroy();
+
+  assert.equal(calls.length, 2);
+  assert.ok(calls.every(({ cancelled }) => cancelled));
+  await navigation;
+  window.document.querySelectorAll(".sr-sec").forEach((section) => {
+    assert.equal(section.classList.contains("sr-anim-glow"), false);
+    assert.equal(section.classList.contains("sr-js-anim"), false);
+  });
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createDeck, sleep } = require("./helpers");
+
+test("next() emits the section change events around the transition", async (t) => {
+  const { deck } = createDeck(t);
+  const events = [];
+  deck.on("beforeSectionChange", (detail) => events.push(["before", detail]));
+  deck.on("afterSectionChange", (detail) => events.push(["after", detail]));
+
+  assert.equal(await deck.next(), true);
+
+  assert.deepEqual(
+    events.map(([phase]) => phase),
+    ["before", "after"]
+  );
+  const [, detail] = events[1];
+  assert.equal(detail.from, 0);
+  assert.equal(detail.to, 1);
+  assert.equal(detail.fromHash, "home");
+  assert.equal(detail.toHash, "projects");
+  assert.equal(detail.direction, "forward");
+  assert.equal(detail.instance, deck);
+});
+
+test("a before* handler returning false vetoes the navigation", async (t) => {
+  const { deck } = createDeck(t);
+  deck.on("beforeSectionChange", () => false);
+
+  assert.equal(await deck.goToSection(2), false);
+  assert.equal(deck.getPosition().section, 0);
+});
+
+test("a DOM listener calling preventDefault() vetoes the navigation", async (t) => {
+  const { window, deck } = createDeck(t);
+  window.document
+    .getElementById("deck")
+    .addEventListener("snaproll:beforeSectionChange", (e) =>
+      e.preventDefault()
+    );
+
+  assert.equal(await deck.goToSection(2), false);
+  assert.equal(deck.getPosition().section, 0);
+});
+
+test("a before* handler can redirect the navigation", async (t) => {
+  const { deck } = createDeck(t);
+  const after = [];
+  deck.once("beforeSectionChange", (detail) => {
+    detail.to = 2;
+  });
+  deck.on("afterSectionChange", (detail) => after.push(detail.to));
+
+  assert.equal(await deck.goToSection(1), true);
+  assert.equal(deck.getPosition().section, 2);
+  assert.deepEqual(after, [2]);
+});
+
+test("once() handlers run a single time and off() removes handlers", async (t) => {
+  const { deck } = createDeck(t);
+  let onceCalls = 0;
+  let onCalls = 0;
+  const handler = () => onCalls++;
+  deck.once("afterSectionChange", () => onceCalls++);
+  deck.on("afterSectionChange", handler);
+
+  await deck.goToSection(1);
+  deck.off("afterSectionChange", handler);
+  await deck.goToSection(2);
+
+  assert.equal(onceCalls, 1);
+  assert.equal(onCalls, 1);
+});
+
+test("a position restored from the URL emits events that cannot be vetoed", async (t) => {
+  const { window, deck } = createDeck(t, {}, { url: "http://localhost/#home" });
+  const events = [];
+  deck.on("beforeSlideChange", () => false);
+  deck.on("beforeSectionChange", (detail) => {
+    events.push(`before ${detail.from}>${detail.to}`);
+    return false;
+  });
+  deck.on("afterSectionChange", (detail) =>
+    events.push(`after ${detail.from}>${detail.to}`)
+  );
+
+  window.location.hash = "#projects--b";
+  await sleep(20);
+
+  assert.deepEqual(events, ["before 0>1", "after 0>1"]);
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+});
+
+test("setState() without animation emits the change events of the restored level", async (t) => {
+  const { deck } = createDeck(t);
+  await deck.goTo(1, 1);
+  const state = deck.getState();
+  await deck.goToSlide(0);
+
+  const events = [];
+  deck.on("beforeSlideChange", () => false);
+  deck.on("afterSlideChange", (detail) =>
+    events.push([detail.from, detail.to, detail.direction])
+  );
+
+  assert.equal(await deck.setState(state), true);
+  assert.deepEqual(events, [[0, 1, "forward"]]);
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+});
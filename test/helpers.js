@@ -0,0 +1,102 @@
+/**
+ * @file Test helpers: loads the library into a jsdom window and builds a small deck.
+ */
+
+const { readFileSync } = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const SOURCE = readFileSync(
+  path.join(__dirname, "../src/js/snaprolljs.js"),
+  "utf8"
+);
+
+/**
+ * A deck of three sections: 'home', 'projects' with three slides (the second one
+ * hashed 'b', the third one holding two sub-slides), and a third section without a hash.
+ * @const {string}
+ */
+const DECK = `
+  <div class="sr-cont" id="deck">
+    <section class="sr-sec" data-sr-hash="home"><h1>Home</h1></section>
+    <section class="sr-sec" data-sr-hash="projects">
+      <div class="sr-slides-cont">
+        <div class="sr-slide">A</div>
+        <div class="sr-slide" data-sr-hash="b">B</div>
+        <div class="sr-slide">
+          <div class="sr-sub">C1</div>
+          <div class="sr-sub">C2</div>
+        </div>
+      </div>
+    </section>
+    <section class="sr-sec"><h2>Third</h2></section>
+  </div>`;
+
+/**
+ * Short fallback timeouts: jsdom never fires 'transitionend'.
+ * @const {object}
+ */
+const FAST = { scrollTimeout: 10, slideScrollTimeout: 10 };
+
+/**
+ * Creates a window with the library loaded. jsdom does not lay out pages, so the
+ * scrolling methods are stubbed.
+ * @param {object} [options={}]
+ * @param {string} [options.body=DECK] - The markup of the page body.
+ * @param {string} [options.url='http://localhost/'] - The URL of the page.
+ * @returns {Window} The window, with `SnapRoll` defined.
+ */
+function createWindow({ body = DECK, url = "http://localhost/" } = {}) {
+  const { window } = new JSDOM(
+    `<!doctype html><html><body>${body}</body></html>`,
+    {
+      url,
+      runScripts: "outside-only",
+      pretendToBeVisual: true,
+    }
+  );
+
+  window.Element.prototype.scrollIntoView = () => {};
+  window.scrollTo = () => {};
+  window.eval(SOURCE);
+  return window;
+}
+
+/**
+ * Creates a deck for a test, and destroys it (and closes its window) once the test ends.
+ * @param {import('node:test').TestContext} t - The test context.
+ * @param {object} [options={}] - The SnapRoll options (the container defaults to '#deck').
+ * @param {object} [page={}] - The `body` and `url` of the page (see createWindow()).
+ * @returns {{window: Window, deck: object}} The window and the SnapRoll instance.
+ */
+function createDeck(t, options = {}, page = {}) {
+  const window = createWindow(page);
+  const deck = new window.SnapRoll({ container: "#deck", ...FAST, ...options });
+
+  t.after(() => {
+    deck.destroy();
+    window.close();
+  });
+  return { window, deck };
+}
+
+/**
+ * Dispatches a keydown event on the document.
+ * @param {Window} window - The window of the deck.
+ * @param {string} key - The key (e.g., 'ArrowDown').
+ * @param {object} [modifiers={}] - The modifier flags (e.g., `{ shiftKey: true }`).
+ */
+function pressKey(window, key, modifiers = {}) {
+  window.document.dispatchEvent(
+    new window.KeyboardEvent("keydown", { key, bubbles: true, ...modifiers })
+  );
+}
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { DECK, createWindow, createDeck, pressKey, sleep };
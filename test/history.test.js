@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createDeck, sleep } = require("./helpers");
+
+test("'replace' keeps a single history entry up to date", async (t) => {
+  const { window, deck } = createDeck(t);
+  const { length } = window.history;
+
+  await deck.goTo(1, 1);
+
+  assert.equal(window.location.hash, "#projects--b");
+  assert.equal(window.history.length, length);
+});
+
+test("'push' adds an entry per position and Back/Forward restore them", async (t) => {
+  const { window, deck } = createDeck(t, {
+    history: "push",
+    historyCoalesceDelay: 0,
+  });
+  const { length } = window.history;
+
+  await deck.next();
+  await deck.next();
+  assert.equal(window.location.hash, "#projects--b");
+  assert.equal(window.history.length, length + 2);
+
+  window.history.back();
+  await sleep(20);
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 0, subSlide: 0 }
+  );
+
+  window.history.forward();
+  await sleep(20);
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+  assert.equal(window.history.length, length + 2);
+});
+
+test("'push' collapses changes made within historyCoalesceDelay", async (t) => {
+  const { window, deck } = createDeck(t, {
+    history: "push",
+    historyCoalesceDelay: 10000,
+  });
+  const { length } = window.history;
+
+  await deck.next();
+  await deck.next();
+
+  assert.equal(window.history.length, length + 1);
+});
+
+test("'none' neither reads nor writes the URL", async (t) => {
+  const { window, deck } = createDeck(
+    t,
+    { history: "none" },
+    { url: "http://localhost/#projects" }
+  );
+
+  assert.equal(deck.getPosition().section, 0);
+  await deck.next();
+  assert.equal(window.location.hash, "#projects");
+});
+
+test("the deck starts at the position in the URL", (t) => {
+  const { deck } = createDeck(t, {}, { url: "http://localhost/#projects--b" });
+
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+});
+
+test("hashes that do not address the deck leave the position alone", async (t) => {
+  const { window, deck } = createDeck(t);
+  await deck.goToSection(2);
+
+  window.location.hash = "#footnote-3";
+  await sleep(20);
+
+  assert.equal(deck.getPosition().section, 2);
+  assert.equal(window.location.hash, "#footnote-3");
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DECK, createDeck, pressKey, sleep } = require("./helpers");
+
+test("key combinations are matched whatever their spelling", (t) => {
+  const { window, deck } = createDeck(t);
+  const calls = [];
+  deck
+    .bindKey("control+alt+N", () => calls.push("ctrl-alt-n"))
+    .bindKey("cmd+shift+k", () => calls.push("meta-shift-k"))
+    .bindKey("Shift++", () => calls.push("plus"));
+
+  pressKey(window, "n", { ctrlKey: true, altKey: true });
+  pressKey(window, "K", { metaKey: true, shiftKey: true });
+  pressKey(window, "+", { shiftKey: true });
+
+  assert.deepEqual(calls, ["ctrl-alt-n", "meta-shift-k", "plus"]);
+});
+
+test("bindKey() replaces the binding of an equivalent combination", async (t) => {
+  const { window, deck } = createDeck(t);
+  await deck.goToSection(2);
+  deck.bindKey("shift+space", "first");
+
+  pressKey(window, " ", { shiftKey: true });
+  await sleep(20);
+
+  assert.equal(deck.getPosition().section, 0);
+});
+
+test("the keymap option merges with the defaults and null unbinds", async (t) => {
+  const { window, deck } = createDeck(t, {
+    keymap: { ArrowDown: null, j: "next" },
+  });
+
+  pressKey(window, "ArrowDown");
+  await sleep(20);
+  assert.equal(deck.getPosition().section, 0);
+
+  pressKey(window, "j");
+  await sleep(20);
+  assert.equal(deck.getPosition().section, 1);
+});
+
+test("unbindKey() removes a binding", async (t) => {
+  const { window, deck } = createDeck(t);
+  deck.unbindKey("ArrowDown");
+
+  pressKey(window, "ArrowDown");
+  await sleep(20);
+
+  assert.equal(deck.getPosition().section, 0);
+});
+
+test("an unknown action is reported and ignored", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { deck } = createDeck(t);
+
+  deck.bindKey("x", "fly");
+
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /Unknown key action 'fly'/);
+});
+
+test("an unbound Shift combination runs the binding of the key alone", async (t) => {
+  const { window, deck } = createDeck(t);
+
+  pressKey(window, "ArrowDown", { shiftKey: true });
+  await sleep(20);
+  assert.equal(deck.getPosition().section, 1);
+
+  pressKey(window, "PageDown", { shiftKey: true });
+  await sleep(20);
+  assert.equal(deck.getPosition().slide, 1);
+});
+
+test("a bound Shift combination wins over the key alone", async (t) => {
+  const { window, deck } = createDeck(t, {
+    keymap: { "Shift+ArrowDown": "last" },
+  });
+
+  pressKey(window, "ArrowDown", { shiftKey: true });
+  await sleep(20);
+
+  assert.equal(deck.getPosition().section, 2);
+});
+
+test("digit keys jump to the matching section", async (t) => {
+  const { window, deck } = createDeck(t);
+
+  pressKey(window, "3");
+  await sleep(20);
+
+  assert.equal(deck.getPosition().section, 2);
+});
+
+test("keys typed into form fields are left alone", async (t) => {
+  const { window, deck } = createDeck(
+    t,
+    {},
+    {
+      body: `<input id="field">${DECK}`,
+    }
+  );
+  const field = window.document.getElementById("field");
+
+  field.dispatchEvent(
+    new window.KeyboardEvent("keydown", { key: "ArrowDown", bubbles: true })
+  );
+  await sleep(20);
+
+  assert.equal(deck.getPosition().section, 0);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createDeck, pressKey, sleep } = require("./helpers");
+
+test("navigation methods resolve once the transition has finished", async (t) => {
+  const { deck } = createDeck(t);
+  let finished = false;
+  deck.on("afterSectionChange", () => {
+    finished = true;
+  });
+
+  const result = deck.next();
+  assert.equal(finished, false);
+  assert.equal(await result, true);
+  assert.equal(finished, true);
+});
+
+test("navigation resolves false when nothing moves", async (t) => {
+  const { deck } = createDeck(t);
+
+  assert.equal(await deck.prev(), false);
+  assert.equal(await deck.goToSection(0), false);
+  assert.equal(await deck.goToSection(9), false);
+});
+
+test("'none' drops calls made during a transition", async (t) => {
+  const { deck } = createDeck(t, { navigationQueue: "none" });
+
+  const results = await Promise.all([deck.next(), deck.next(), deck.next()]);
+
+  assert.deepEqual(results, [true, false, false]);
+  assert.equal(deck.getPosition().section, 1);
+});
+
+test("'queue' runs the calls made during a transition in order", async (t) => {
+  const { deck } = createDeck(t, { navigationQueue: "queue" });
+
+  const results = await Promise.all([deck.next(), deck.next(), deck.next()]);
+
+  assert.deepEqual(results, [true, true, true]);
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 2, subSlide: 0 }
+  );
+});
+
+test("'latest' keeps only the last call made during a transition", async (t) => {
+  const { deck } = createDeck(t, { navigationQueue: "latest" });
+
+  const results = await Promise.all([
+    deck.next(),
+    deck.goToSection(1),
+    deck.goToSection(2),
+  ]);
+
+  assert.deepEqual(results, [true, false, true]);
+  assert.equal(deck.getPosition().section, 2);
+});
+
+test("queued calls that do not navigate do not strand the ones behind them", async (t) => {
+  const { deck } = createDeck(t, { navigationQueue: "queue" });
+
+  const results = await Promise.all([
+    deck.next(),
+    deck.goToSection(1), // Already there once the first call has finished
+    deck.goToSection(2),
+  ]);
+
+  assert.deepEqual(results, [true, false, true]);
+  assert.equal(deck.getPosition().section, 2);
+});
+
+test("a queued call that throws rejects alone and the queue keeps draining", async (t) => {
+  const { deck } = createDeck(t, { navigationQueue: "queue" });
+  const first = deck.goToSection(1);
+  deck.once("beforeSlideChange", () => {
+    throw new Error("listener failed");
+  });
+
+  const results = await Promise.allSettled([
+    first,
+    deck.goToSlide(1),
+    deck.goToSection(2),
+  ]);
+
+  assert.deepEqual(
+    results.map(({ status }) => status),
+    ["fulfilled", "rejected", "fulfilled"]
+  );
+  assert.equal(results[1].reason.message, "listener failed");
+  assert.equal(deck.getPosition().section, 2);
+});
+
+test("keys pressed during a transition follow the navigationQueue option", async (t) => {
+  const { window, deck } = createDeck(t, { navigationQueue: "queue" });
+
+  pressKey(window, "ArrowDown");
+  pressKey(window, "ArrowDown");
+  await sleep(50);
+
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+});
+
+test("pending calls resolve false on destroy", async (t) => {
+  const { deck } = createDeck(t, { navigationQueue: "queue" });
+
+  deck.next();
+  const pending = deck.next();
+  deck.destroy();
+
+  assert.equal(await pending, false);
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createDeck, createWindow } = require("./helpers");
+
+test("the hash router reads and writes '#section--slide--sub'", async (t) => {
+  const { window, deck } = createDeck(
+    t,
+    {},
+    { url: "http://localhost/#projects--3--2" }
+  );
+
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 2, subSlide: 1 }
+  );
+
+  await deck.goToSection(2);
+  assert.equal(window.location.hash, "#3");
+});
+
+test("sections are also addressed by their 1-based number", (t) => {
+  const { deck } = createDeck(t, {}, { url: "http://localhost/#2--b" });
+
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+});
+
+test("a namespaced hash router owns its part of the hash only", async (t) => {
+  const { window, deck } = createDeck(
+    t,
+    { namespace: "intro" },
+    { url: "http://localhost/#intro=projects&demo=3" }
+  );
+
+  assert.equal(deck.getPosition().section, 1);
+
+  await deck.goToSection(2);
+  assert.equal(window.location.hash, "#intro=3&demo=3");
+});
+
+test("the query router keeps unrelated parameters", async (t) => {
+  const { window, deck } = createDeck(
+    t,
+    { router: "query" },
+    { url: "http://localhost/?lang=en&section=projects&slide=b" }
+  );
+
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+
+  await deck.goToSection(0);
+  assert.equal(window.location.search, "?lang=en&section=home");
+});
+
+test("the path router reads and writes segments under routerBase", async (t) => {
+  const { window, deck } = createDeck(
+    t,
+    { router: "path", routerBase: "/deck/" },
+    { url: "http://localhost/deck/projects/b?x=1" }
+  );
+
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+
+  await deck.goToSection(2);
+  assert.equal(window.location.pathname, "/deck/3");
+  assert.equal(window.location.search, "?x=1");
+});
+
+test("the path router does not claim URLs outside of routerBase", (t) => {
+  const window = createWindow({ url: "http://localhost/blog/projects" });
+  t.after(() => window.close());
+  const router = window.SnapRoll.routers.path({ routerBase: "/deck" });
+
+  assert.equal(router.read(), null);
+});
+
+test("a custom router adapter is used for reading and writing", async (t) => {
+  const writes = [];
+  const router = {
+    read: () => ["projects", "b"],
+    write: (segments) => writes.push(segments.join("/")),
+  };
+  const { deck } = createDeck(t, { router });
+
+  assert.deepEqual(
+    { ...deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+
+  await deck.goToSection(0);
+  assert.equal(writes.at(-1), "home");
+});
+
+test("an invalid custom router falls back to the hash router", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { deck } = createDeck(
+    t,
+    { router: { read: () => [] } },
+    { url: "http://localhost/#projects" }
+  );
+
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(deck.getPosition().section, 1);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DECK, createDeck } = require("./helpers");
+
+/**
+ * Creates an in-memory storage usable as the `persist` option.
+ * @param {object} [items={}] - The initial items.
+ * @returns {object} The storage, with its items exposed as a Map.
+ */
+function createStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    map,
+    getItem: (key) => map.get(key) ?? null,
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key),
+  };
+}
+
+test("getState() returns a versioned, JSON-safe snapshot", async (t) => {
+  const { deck } = createDeck(t);
+  await deck.goTo(1, 2, 1);
+
+  const state = JSON.parse(JSON.stringify(deck.getState()));
+
+  assert.equal(state.version, 1);
+  assert.equal(state.structure, "home|projects,0,0,2|");
+  assert.equal(state.section, 1);
+  assert.deepEqual(state.slides, [0, 2, 0]);
+  assert.deepEqual(state.subSlides, [[], [0, 0, 1], []]);
+  assert.deepEqual(state.hashes, {
+    section: "projects",
+    slide: "3",
+    subSlide: "2",
+  });
+});
+
+test("setState() restores the position of every section and slide", async (t) => {
+  const { deck } = createDeck(t);
+  await deck.goTo(1, 2, 1);
+  await deck.goToSection(2);
+  const state = JSON.parse(JSON.stringify(deck.getState()));
+  await deck.goToSection(0);
+  await deck.goTo(1, 0);
+
+  assert.equal(await deck.setState(state), true);
+  assert.equal(deck.getPosition().section, 2);
+  assert.deepEqual(JSON.parse(JSON.stringify(deck.getState())), state);
+});
+
+test("setState() ignores states of another version", async (t) => {
+  const { deck } = createDeck(t);
+  const state = { ...deck.getState(), version: 0, section: 2 };
+
+  assert.equal(await deck.setState(state), false);
+  assert.equal(deck.getPosition().section, 0);
+});
+
+test("setState() ignores states of a deck whose structure changed", async (t) => {
+  const { deck } = createDeck(t);
+  const state = deck.getState();
+  state.section = 2;
+  deck.addSection("<section class='sr-sec'>New</section>");
+
+  assert.equal(await deck.setState(state), false);
+  assert.equal(deck.getPosition().section, 0);
+});
+
+test("setState() ignores states with indices out of bounds", async (t) => {
+  const { deck } = createDeck(t);
+  const state = deck.getState();
+  state.slides[1] = 5;
+
+  assert.equal(await deck.setState(state), false);
+});
+
+test("a persisted state is saved on change and resumed on load", async (t) => {
+  const storage = createStorage();
+  const first = createDeck(t, { persist: storage });
+  await first.deck.goTo(1, 1);
+  const [[key, saved]] = storage.map;
+
+  assert.equal(key, "snaproll:/:deck");
+  assert.equal(JSON.parse(saved).section, 1);
+
+  const second = createDeck(t, { persist: storage });
+  assert.deepEqual(
+    { ...second.deck.getPosition() },
+    { section: 1, slide: 1, subSlide: 0 }
+  );
+});
+
+test("a position in the URL wins over the persisted state", async (t) => {
+  const storage = createStorage();
+  await createDeck(t, { persist: storage }).deck.goToSection(2);
+
+  const { deck } = createDeck(
+    t,
+    { persist: storage },
+    { url: "http://localhost/#projects" }
+  );
+
+  assert.equal(deck.getPosition().section, 1);
+});
+
+test("a hash that does not address the deck does not block the resume", async (t) => {
+  const storage = createStorage();
+  await createDeck(t, { persist: storage }).deck.goToSection(2);
+
+  const { deck } = createDeck(
+    t,
+    { persist: storage },
+    { url: "http://localhost/#footnote-3" }
+  );
+
+  assert.equal(deck.getPosition().section, 2);
+});
+
+test("an outdated persisted state is discarded", (t) => {
+  const storage = createStorage({
+    "snaproll:/:deck": JSON.stringify({ version: 0, section: 2 }),
+  });
+
+  const { deck } = createDeck(t, { persist: storage }, { body: DECK });
+
+  assert.equal(deck.getPosition().section, 0);
+  assert.equal(
+    JSON.parse(storage.map.get("snaproll:/:deck")).version,
+    1,
+    "the outdated state is replaced by a current one"
+  );
+});